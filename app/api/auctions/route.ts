@@ -0,0 +1,62 @@
+// app/api/auctions/route.ts
+// Fetches burn auction round results from the Injective Exchange Indexer.
+// Rounds settle in the auction module's EndBlocker, so the winner receiving the
+// basket never shows up as a transaction in their history.
+
+import { fetchIndexer } from '@/lib/exchange';
+
+// Disable Next.js caching for this route
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+// Max rounds resolved per request
+const MAX_ROUNDS = 100;
+
+interface AuctionRound {
+  round: string;
+  winner: string;
+  winningBidAmount: string; // Raw INJ units
+  basket: { denom: string; amount: string }[]; // Raw units
+  endTimestamp: number; // Unix ms
+}
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const rounds = [...new Set((searchParams.get('rounds') || '').split(',').map(r => r.trim()).filter(r => /^\d+$/.test(r)))];
+
+  if (rounds.length === 0) {
+    return Response.json({ error: 'Missing auction rounds' }, { status: 400 });
+  }
+  if (rounds.length > MAX_ROUNDS) {
+    return Response.json({ error: `At most ${MAX_ROUNDS} rounds per request` }, { status: 400 });
+  }
+
+  try {
+    const results: Record<string, AuctionRound> = {};
+
+    for (const round of rounds) {
+      const data = await fetchIndexer(`/api/exchange/auction/v1/auction?round=${round}`);
+      const auction = data?.auction;
+      if (!auction) continue;
+
+      results[round] = {
+        round,
+        winner: auction.winner || '',
+        winningBidAmount: auction.winningBidAmount || auction.winning_bid_amount || '0',
+        basket: (auction.basket || []).map(c => ({ denom: c.denom, amount: c.amount })),
+        endTimestamp: Number(auction.endTimestamp || auction.end_timestamp || 0),
+      };
+
+      // Small delay to prevent rate limiting
+      await new Promise(r => setTimeout(r, 50));
+    }
+
+    return Response.json({ rounds: results });
+
+  } catch (error) {
+    return Response.json(
+      { error: error instanceof Error ? error.message : 'Failed to fetch auction rounds' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,71 @@
+// app/api/contracts/route.ts
+// Looks up CosmWasm contract metadata (code ID, creator, admin, label) and the
+// minter of CW20 tokens. Pair contracts are instantiated by their protocol's
+// factory and liquid staking tokens are minted by their hub, so the client uses
+// this to tell which protocol a contract call belongs to.
+
+import { fetchLcd, queryContract } from '@/lib/lcd';
+import { isValidInjAddress } from '@/lib/address';
+
+// Disable Next.js caching for this route
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+// Max addresses (contracts + minters) per request
+const MAX_ADDRESSES = 100;
+
+interface ContractInfo {
+  codeId: string;
+  creator: string;
+  admin: string;
+  label: string;
+}
+
+// Helper: Valid, deduplicated addresses of a comma-separated query parameter
+function parseAddresses(value: string | null): string[] {
+  return [...new Set((value || '').split(',').map(a => a.trim().toLowerCase()).filter(isValidInjAddress))];
+}
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const addresses = parseAddresses(searchParams.get('addresses'));
+  const tokens = parseAddresses(searchParams.get('minters'));
+
+  if (addresses.length + tokens.length === 0) {
+    return Response.json({ error: 'Missing contract addresses' }, { status: 400 });
+  }
+  if (addresses.length + tokens.length > MAX_ADDRESSES) {
+    return Response.json({ error: `At most ${MAX_ADDRESSES} addresses per request` }, { status: 400 });
+  }
+
+  try {
+    // Contracts the LCD doesn't know are left out - the client treats them as unknown
+    const contracts: Record<string, ContractInfo> = {};
+    for (const address of addresses) {
+      const { data } = await fetchLcd(`/cosmwasm/wasm/v1/contract/${address}`);
+      const info = data?.contract_info;
+      if (!info) continue;
+      contracts[address] = {
+        codeId: String(info.code_id || ''),
+        creator: (info.creator || '').toLowerCase(),
+        admin: (info.admin || '').toLowerCase(),
+        label: info.label || '',
+      };
+    }
+
+    // { [cw20 token]: minter contract } - tokens without a minter are left out
+    const minters: Record<string, string> = {};
+    for (const token of tokens) {
+      const result = await queryContract(token, { minter: {} });
+      if (result?.minter) minters[token] = result.minter.toLowerCase();
+    }
+
+    return Response.json({ contracts, minters });
+
+  } catch (error) {
+    return Response.json(
+      { error: error instanceof Error ? error.message : 'Failed to fetch contract info' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,136 @@
+// app/api/derivatives/[address]/route.ts
+// Fetches derivative (perpetual futures) fills, liquidations and funding payments
+// for every exchange subaccount of a wallet from the Injective Exchange Indexer.
+// Position and PnL accounting happens on the client.
+
+import { isValidInjAddress } from '@/lib/address';
+import { fetchIndexer, fetchIndexerPages, getSubaccounts, withTimeRange } from '@/lib/exchange';
+
+// Disable Next.js caching for this route
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+interface DerivativeMarket {
+  ticker: string;
+  quoteDenom: string;
+}
+
+interface DerivativeFill {
+  tradeId: string;
+  txHash: string; // On-chain tx hash when the indexer reports one, '' otherwise
+  orderHash: string;
+  subaccountId: string;
+  marketId: string;
+  ticker: string;
+  quoteDenom: string;
+  direction: string; // 'long' | 'short' ('buy' | 'sell' on some indexer versions)
+  executionType: string;
+  isLiquidation: boolean;
+  quantity: string; // Contracts (human units)
+  price: string; // Raw quote units per contract
+  fee: string; // Raw quote units (negative for maker rebates)
+  executedAt: number;
+}
+
+interface FundingPayment {
+  subaccountId: string;
+  marketId: string;
+  ticker: string;
+  quoteDenom: string;
+  amount: string; // Raw quote units, positive when received
+  timestamp: number;
+}
+
+// Map of marketId -> { ticker, quoteDenom } for all derivative markets (including expired)
+async function getDerivativeMarkets(): Promise<Record<string, DerivativeMarket>> {
+  const data = await fetchIndexer('/api/exchange/derivative/v1/markets');
+  const markets: Record<string, DerivativeMarket> = {};
+  for (const m of data?.markets || []) {
+    markets[m.marketId] = { ticker: m.ticker || '', quoteDenom: m.quoteDenom || '' };
+  }
+  return markets;
+}
+
+export async function GET(request, { params }) {
+  const resolvedParams = await params;
+  const address = resolvedParams.address;
+  const { searchParams } = new URL(request.url);
+  const startTime = searchParams.get('startTime');
+  const endTime = searchParams.get('endTime');
+
+  if (!isValidInjAddress(address)) {
+    return Response.json({ error: 'Invalid Injective address' }, { status: 400 });
+  }
+
+  try {
+    const [subaccounts, markets] = await Promise.all([getSubaccounts(address), getDerivativeMarkets()]);
+
+    const fills: DerivativeFill[] = [];
+    const funding: FundingPayment[] = [];
+    // Set when a subaccount's funding payments could not be fetched - funding (and
+    // the PnL it is part of) is then incomplete, which the client has to report
+    let fundingUnavailable = false;
+
+    for (const subaccountId of subaccounts) {
+      // Fills always come from the beginning of time - positions opened before the
+      // requested window still determine the PnL of closes inside it
+      const trades = await fetchIndexerPages(
+        withTimeRange(`/api/exchange/derivative/v1/trades?subaccountId=${subaccountId}`, null, endTime),
+        'trades'
+      );
+      if (trades === null) {
+        return Response.json({ error: `Failed to fetch derivative trades for subaccount ${subaccountId}` }, { status: 502 });
+      }
+
+      for (const t of trades) {
+        const market = markets[t.marketId];
+        fills.push({
+          tradeId: t.tradeId,
+          txHash: t.txHash || '',
+          orderHash: t.orderHash,
+          subaccountId: t.subaccountId,
+          marketId: t.marketId,
+          ticker: market?.ticker || '',
+          quoteDenom: market?.quoteDenom || '',
+          direction: t.positionDelta?.tradeDirection || '',
+          executionType: t.tradeExecutionType || '',
+          isLiquidation: Boolean(t.isLiquidation) || (t.tradeExecutionType || '').toLowerCase().includes('liquidation'),
+          quantity: t.positionDelta?.executionQuantity || '0',
+          price: t.positionDelta?.executionPrice || '0',
+          fee: t.fee || '0',
+          executedAt: Number(t.executedAt),
+        });
+      }
+
+      // Funding payments endpoint only supports an end time
+      const payments = await fetchIndexerPages(
+        withTimeRange(`/api/exchange/derivative/v1/funding_payments?subaccountId=${subaccountId}`, null, endTime),
+        'payments'
+      );
+      if (payments === null) fundingUnavailable = true;
+      for (const p of payments || []) {
+        const timestamp = Number(p.timestamp);
+        if (startTime && timestamp < Number(startTime)) continue;
+        const market = markets[p.marketId];
+        funding.push({
+          subaccountId: p.subaccountId || subaccountId,
+          marketId: p.marketId,
+          ticker: market?.ticker || '',
+          quoteDenom: market?.quoteDenom || '',
+          amount: p.amount || '0',
+          timestamp,
+        });
+      }
+    }
+
+    fills.sort((a, b) => a.executedAt - b.executedAt);
+    funding.sort((a, b) => a.timestamp - b.timestamp);
+    return Response.json({ subaccounts, fills, funding, fundingUnavailable });
+
+  } catch (error) {
+    return Response.json(
+      { error: error instanceof Error ? error.message : 'Failed to fetch derivatives' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,46 @@
+// app/api/evm/token-pairs/route.ts
+// Maps Injective EVM ERC-20 contract addresses to their bank denoms (MultiVM Token
+// Standard). Bank-backed tokens move through the bank precompile, so the client
+// needs this map to avoid counting their ERC-20 Transfer logs a second time.
+
+import { fetchLcd } from '@/lib/lcd';
+
+// Disable Next.js caching for this route
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const MAX_PAGES = 20;
+
+export async function GET() {
+  try {
+    // { [erc20Address (lowercase 0x...)]: bankDenom }
+    const pairs: Record<string, string> = {};
+    let nextKey = '';
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const query = nextKey ? `?pagination.key=${encodeURIComponent(nextKey)}` : '';
+      const { data } = await fetchLcd(`/injective/erc20/v1beta1/all_token_pairs${query}`);
+      if (!data) {
+        if (page === 0) return Response.json({ error: 'Failed to fetch token pairs' }, { status: 502 });
+        break;
+      }
+
+      for (const pair of data.token_pairs || data.tokenPairs || []) {
+        const address = (pair.erc20_address || pair.erc20Address || '').toLowerCase();
+        const denom = pair.bank_denom || pair.bankDenom;
+        if (address && denom) pairs[address] = denom;
+      }
+
+      nextKey = data.pagination?.next_key || '';
+      if (!nextKey) break;
+    }
+
+    return Response.json({ pairs });
+
+  } catch (error) {
+    return Response.json(
+      { error: error instanceof Error ? error.message : 'Failed to fetch token pairs' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,116 @@
+// app/api/governance/route.ts
+// Resolves what happened to governance proposal deposits. Refunds and burns are
+// executed by the gov module's EndBlocker, so they never appear as transactions -
+// the outcome is derived from the proposal status and final tally on the LCD.
+
+import { fetchLcd } from '@/lib/lcd';
+
+// Disable Next.js caching for this route
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+// Max proposals resolved per request
+const MAX_PROPOSALS = 100;
+
+interface ProposalOutcome {
+  id: string;
+  status: string; // PROPOSAL_STATUS_* ('REMOVED' when the proposal no longer exists)
+  outcome: 'pending' | 'refunded' | 'burned';
+  burnReason: 'veto' | 'quorum' | null; // Why a rejected proposal's deposits were burned
+  resolvedAt: string | null; // When deposits were refunded or burned (null if unknown)
+}
+
+// Gov params relevant to deposits (SDK v0.47+ returns them all under `params`),
+// plus the bonded stake turnout is measured against
+async function getGovParams() {
+  const { data } = await fetchLcd('/cosmos/gov/v1/params/tallying');
+  const params = data?.params || {};
+  const tally = data?.tally_params || params;
+  // The tally used the bonded stake at the end of voting - the current pool is the
+  // closest the LCD offers, so turnouts right at the quorum line can be misjudged
+  const { data: staking } = await fetchLcd('/cosmos/staking/v1beta1/pool');
+  return {
+    quorum: parseFloat(tally.quorum || '0.334'),
+    vetoThreshold: parseFloat(tally.veto_threshold || '0.334'),
+    burnVoteQuorum: params.burn_vote_quorum === true,
+    burnVoteVeto: params.burn_vote_veto !== false,
+    burnProposalDepositPrevote: params.burn_proposal_deposit_prevote === true,
+    maxDepositPeriodSeconds: parseFloat(params.max_deposit_period || '0') || null,
+    bondedTokens: parseFloat(staking?.pool?.bonded_tokens || '0') || null,
+  };
+}
+
+function getOutcome(proposal: any, params: Awaited<ReturnType<typeof getGovParams>>): ProposalOutcome {
+  const id = String(proposal.id || proposal.proposal_id);
+  const status = proposal.status || '';
+
+  if (status === 'PROPOSAL_STATUS_DEPOSIT_PERIOD' || status === 'PROPOSAL_STATUS_VOTING_PERIOD') {
+    return { id, status, outcome: 'pending', burnReason: null, resolvedAt: null };
+  }
+
+  // Like the gov module's tally: deposits are burned when turnout misses the quorum
+  // (if burn_vote_quorum is set), or - once quorum is met - when NoWithVeto crosses
+  // the veto threshold (if burn_vote_veto is set)
+  const tally = proposal.final_tally_result || {};
+  const yes = parseFloat(tally.yes_count ?? tally.yes ?? '0');
+  const no = parseFloat(tally.no_count ?? tally.no ?? '0');
+  const abstain = parseFloat(tally.abstain_count ?? tally.abstain ?? '0');
+  const veto = parseFloat(tally.no_with_veto_count ?? tally.no_with_veto ?? '0');
+  const totalVotes = yes + no + abstain + veto;
+  const rejected = status === 'PROPOSAL_STATUS_REJECTED';
+  // Without the bonded stake, quorum is assumed met
+  const quorumMet = params.bondedTokens === null || totalVotes / params.bondedTokens >= params.quorum;
+  const vetoed = quorumMet && totalVotes > 0 && veto / totalVotes > params.vetoThreshold;
+  let burnReason: ProposalOutcome['burnReason'] = null;
+  if (rejected && !quorumMet && params.burnVoteQuorum) burnReason = 'quorum';
+  if (rejected && vetoed && params.burnVoteVeto) burnReason = 'veto';
+
+  return {
+    id,
+    status,
+    outcome: burnReason ? 'burned' : 'refunded',
+    burnReason,
+    resolvedAt: proposal.voting_end_time || null,
+  };
+}
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const ids = [...new Set((searchParams.get('ids') || '').split(',').map(id => id.trim()).filter(id => /^\d+$/.test(id)))];
+
+  if (ids.length === 0) {
+    return Response.json({ error: 'Missing proposal ids' }, { status: 400 });
+  }
+  if (ids.length > MAX_PROPOSALS) {
+    return Response.json({ error: `At most ${MAX_PROPOSALS} proposals per request` }, { status: 400 });
+  }
+
+  try {
+    const params = await getGovParams();
+    const proposals: Record<string, ProposalOutcome> = {};
+
+    for (const id of ids) {
+      const { status, data } = await fetchLcd(`/cosmos/gov/v1/proposals/${id}`);
+      if (data?.proposal) {
+        proposals[id] = getOutcome(data.proposal, params);
+      } else if (status === 404 || status === 400) {
+        // Proposals that never reached min deposit are deleted once the deposit period ends
+        proposals[id] = {
+          id,
+          status: 'REMOVED',
+          outcome: params.burnProposalDepositPrevote ? 'burned' : 'refunded',
+          burnReason: null,
+          resolvedAt: null,
+        };
+      }
+    }
+
+    return Response.json({ proposals, maxDepositPeriodSeconds: params.maxDepositPeriodSeconds });
+
+  } catch (error) {
+    return Response.json(
+      { error: error instanceof Error ? error.message : 'Failed to fetch proposals' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,58 @@
+// app/api/ibc/packets/route.ts
+// Reports whether outgoing IBC transfer packets are still in flight. The sending
+// chain keeps a commitment for every packet until the relayer delivers its
+// acknowledgement or timeout - those relayer txs are signed by the relayer, so
+// they don't show up in the sender's history.
+
+import { fetchLcd } from '@/lib/lcd';
+
+// Disable Next.js caching for this route
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+// Max packets checked per request
+const MAX_PACKETS = 100;
+
+// ICS-20 token transfers always use the transfer port
+const TRANSFER_PORT = 'transfer';
+
+// 'pending' while the commitment exists, 'settled' once it was cleared
+type PacketState = 'pending' | 'settled';
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  // Packets as "channel-8/1234" (source channel / sequence)
+  const packets = [...new Set((searchParams.get('packets') || '').split(',').map(p => p.trim()).filter(p => /^channel-\d+\/\d+$/.test(p)))];
+
+  if (packets.length === 0) {
+    return Response.json({ error: 'Missing packets' }, { status: 400 });
+  }
+  if (packets.length > MAX_PACKETS) {
+    return Response.json({ error: `At most ${MAX_PACKETS} packets per request` }, { status: 400 });
+  }
+
+  try {
+    // Packets the LCD can't answer for are left out - the client treats them as unknown
+    const states: Record<string, PacketState> = {};
+    for (const packet of packets) {
+      const [channel, sequence] = packet.split('/');
+      const { status, data } = await fetchLcd(
+        `/ibc/core/channel/v1/channels/${channel}/ports/${TRANSFER_PORT}/packet_commitments/${sequence}`
+      );
+      if (data?.commitment) {
+        states[packet] = 'pending';
+      } else if (data || status === 404) {
+        // Commitments are deleted once the packet was acknowledged or timed out
+        states[packet] = 'settled';
+      }
+    }
+
+    return Response.json({ packets: states });
+
+  } catch (error) {
+    return Response.json(
+      { error: error instanceof Error ? error.message : 'Failed to fetch packet states' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,58 @@
+// app/api/insurance/[address]/route.ts
+// Fetches insurance fund redemption schedules of a wallet from the Injective
+// Exchange Indexer. Redemptions are paid out by the insurance module's EndBlocker
+// once the notice period is over, so the payout never appears as a transaction.
+
+import { isValidInjAddress } from '@/lib/address';
+import { fetchIndexer } from '@/lib/exchange';
+
+// Disable Next.js caching for this route
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+interface Redemption {
+  redemptionId: string;
+  status: string; // 'pending' | 'disbursed'
+  redemptionDenom: string; // Pool share token (shareN)
+  redemptionAmount: string; // Raw share units
+  disbursedDenom: string;
+  disbursedAmount: string; // Raw units
+  requestedAt: number; // Unix ms
+  disbursedAt: number; // Unix ms (0 while pending)
+}
+
+export async function GET(request, { params }) {
+  const resolvedParams = await params;
+  const address = resolvedParams.address;
+
+  if (!isValidInjAddress(address)) {
+    return Response.json({ error: 'Invalid Injective address' }, { status: 400 });
+  }
+
+  try {
+    const data = await fetchIndexer(`/api/exchange/insurance/v1/redemptions?redeemer=${address}`);
+    if (data === null) {
+      return Response.json({ error: 'Failed to fetch insurance redemptions' }, { status: 502 });
+    }
+
+    const redemptions: Redemption[] = (data.redemptionSchedules || []).map(r => ({
+      redemptionId: String(r.redemptionId ?? ''),
+      status: r.status || '',
+      redemptionDenom: r.redemptionDenom || '',
+      redemptionAmount: r.redemptionAmount || '0',
+      disbursedDenom: r.disbursedDenom || '',
+      disbursedAmount: r.disbursedAmount || '0',
+      requestedAt: Number(r.requestedAt || 0),
+      disbursedAt: Number(r.disbursedAt || 0),
+    }));
+
+    redemptions.sort((a, b) => a.requestedAt - b.requestedAt);
+    return Response.json({ redemptions });
+
+  } catch (error) {
+    return Response.json(
+      { error: error instanceof Error ? error.message : 'Failed to fetch insurance redemptions' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,27 @@
+// app/api/markets/route.ts
+// Lists the denoms traded on an active Injective spot market. Tokens without any
+// market can't be priced, which makes them a spam signal on the client.
+
+import { getAllMarkets } from '@/lib/markets';
+
+// Disable Next.js caching for this route
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+export async function GET() {
+  try {
+    const markets = await getAllMarkets();
+    if (markets.length === 0) {
+      return Response.json({ error: 'Failed to fetch spot markets' }, { status: 502 });
+    }
+
+    const denoms = [...new Set(markets.flatMap(m => [m.baseDenom, m.quoteDenom]).filter(Boolean))];
+    return Response.json({ denoms });
+
+  } catch (error) {
+    return Response.json(
+      { error: error instanceof Error ? error.message : 'Failed to fetch spot markets' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,55 @@
+// app/api/names/route.ts
+// Resolves Injective Name Service (.inj) names to inj1 addresses. The registry
+// contract knows which resolver holds a name's records, and the resolver returns
+// the address - both are queried by the name's namehash.
+
+import { queryContract } from '@/lib/lcd';
+import { isValidInjAddress } from '@/lib/address';
+import { keccak256 } from '@/lib/keccak';
+
+// Disable Next.js caching for this route
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+const INS_REGISTRY = 'inj1hm8vs8sr2h9nk0x66vctfs528wrp6k3gtgg275';
+
+// ENS-style namehash: starting from 32 zero bytes, each label from the right is
+// folded in as keccak256(node + keccak256(label))
+function namehash(name: string): number[] {
+  let node = new Uint8Array(32);
+  for (const label of name.split('.').reverse()) {
+    node = keccak256(new Uint8Array([...node, ...keccak256(new TextEncoder().encode(label))]));
+  }
+  return Array.from(node);
+}
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const name = (searchParams.get('name') || '').trim().toLowerCase();
+
+  if (!/^[^\s.]+(\.[^\s.]+)*\.inj$/.test(name)) {
+    return Response.json({ error: 'Invalid .inj name' }, { status: 400 });
+  }
+
+  try {
+    const node = namehash(name);
+
+    const resolver = (await queryContract(INS_REGISTRY, { resolver: { node } }))?.resolver;
+    if (!resolver) {
+      return Response.json({ error: `${name} is not registered` }, { status: 404 });
+    }
+
+    const address = (await queryContract(resolver, { address: { node } }))?.address;
+    if (!address || !isValidInjAddress(address)) {
+      return Response.json({ error: `${name} does not point to an address` }, { status: 404 });
+    }
+
+    return Response.json({ name, address });
+
+  } catch (error) {
+    return Response.json(
+      { error: error instanceof Error ? error.message : 'Failed to resolve name' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,94 @@
+// app/api/trades/[address]/route.ts
+// Fetches spot trade fills for every exchange subaccount of a wallet from the
+// Injective Exchange Indexer. Limit orders often fill in a later block than the
+// order tx, so fills are the only reliable record of what was traded.
+
+import { isValidInjAddress } from '@/lib/address';
+import { fetchIndexer, fetchIndexerPages, getSubaccounts, withTimeRange } from '@/lib/exchange';
+
+// Disable Next.js caching for this route
+export const dynamic = 'force-dynamic';
+export const revalidate = 0;
+
+interface SpotFill {
+  tradeId: string;
+  txHash: string; // On-chain tx hash when the indexer reports one, '' otherwise
+  orderHash: string;
+  subaccountId: string;
+  marketId: string;
+  ticker: string;
+  baseDenom: string;
+  quoteDenom: string;
+  direction: string; // 'buy' | 'sell'
+  executionType: string; // 'limitFill', 'market', ...
+  quantity: string; // Raw base units
+  price: string; // Raw quote units per raw base unit
+  fee: string; // Raw quote units (negative for maker rebates)
+  executedAt: number;
+}
+
+// Map of marketId -> { ticker, baseDenom, quoteDenom } for all spot markets (including inactive)
+async function getSpotMarkets(): Promise<Record<string, { ticker: string; baseDenom: string; quoteDenom: string }>> {
+  const data = await fetchIndexer('/api/exchange/spot/v1/markets');
+  const markets: Record<string, { ticker: string; baseDenom: string; quoteDenom: string }> = {};
+  for (const m of data?.markets || []) {
+    markets[m.marketId] = { ticker: m.ticker || '', baseDenom: m.baseDenom || '', quoteDenom: m.quoteDenom || '' };
+  }
+  return markets;
+}
+
+export async function GET(request, { params }) {
+  const resolvedParams = await params;
+  const address = resolvedParams.address;
+  const { searchParams } = new URL(request.url);
+  const startTime = searchParams.get('startTime');
+  const endTime = searchParams.get('endTime');
+
+  if (!isValidInjAddress(address)) {
+    return Response.json({ error: 'Invalid Injective address' }, { status: 400 });
+  }
+
+  try {
+    const [subaccounts, markets] = await Promise.all([getSubaccounts(address), getSpotMarkets()]);
+
+    const fills: SpotFill[] = [];
+    for (const subaccountId of subaccounts) {
+      const trades = await fetchIndexerPages(
+        withTimeRange(`/api/exchange/spot/v2/trades?subaccountId=${subaccountId}`, startTime, endTime),
+        'trades'
+      );
+      if (trades === null) {
+        return Response.json({ error: `Failed to fetch trades for subaccount ${subaccountId}` }, { status: 502 });
+      }
+
+      for (const t of trades) {
+        const market = markets[t.marketId];
+        fills.push({
+          tradeId: t.tradeId,
+          txHash: t.txHash || '',
+          orderHash: t.orderHash,
+          subaccountId: t.subaccountId,
+          marketId: t.marketId,
+          ticker: market?.ticker || '',
+          baseDenom: market?.baseDenom || '',
+          quoteDenom: market?.quoteDenom || '',
+          direction: t.tradeDirection,
+          executionType: t.tradeExecutionType,
+          quantity: t.price?.quantity || '0',
+          price: t.price?.price || '0',
+          fee: t.fee || '0',
+          executedAt: Number(t.executedAt),
+        });
+      }
+    }
+
+    fills.sort((a, b) => a.executedAt - b.executedAt);
+    return Response.json({ subaccounts, fills });
+
+  } catch (error) {
+    return Response.json(
+      { error: error instanceof Error ? error.message : 'Failed to fetch trades' },
+      { status: 500 }
+    );
+  }
+}
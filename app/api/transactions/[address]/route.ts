@@ -1,6 +1,8 @@
 // app/api/transactions/[address]/route.js
 // Simplified - just proxies to Injective Explorer API
 
+import { isValidInjAddress } from '@/lib/address';
+
 const EXPLORER_API = 'https://sentry.exchange.grpc-web.injective.network/api/explorer/v1';
 
 export async function GET(request, { params }) {
@@ -10,7 +12,7 @@ export async function GET(request, { params }) {
   const limit = searchParams.get('limit') || '100';
   const skip = searchParams.get('skip') || '0';
 
-  if (!address || !address.startsWith('inj1')) {
+  if (!isValidInjAddress(address)) {
     return Response.json({ error: 'Invalid Injective address' }, { status: 400 });
   }
 
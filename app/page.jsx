@@ -1,8 +1,19 @@
 'use client';
 import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+import { createOwnerMatcher, hexToInjAddress, isValidInjAddress } from '@/lib/address';
 
 const EXPLORER_API = '/api/transactions';
 const PRICES_API = '/api/prices';
+const TRADES_API = '/api/trades';
+const DERIVATIVES_API = '/api/derivatives';
+const GOVERNANCE_API = '/api/governance';
+const AUCTIONS_API = '/api/auctions';
+const INSURANCE_API = '/api/insurance';
+const EVM_TOKEN_PAIRS_API = '/api/evm/token-pairs';
+const MARKETS_API = '/api/markets';
+const NAMES_API = '/api/names';
+const CONTRACTS_API = '/api/contracts';
+const IBC_PACKETS_API = '/api/ibc/packets';
 const TOKEN_LIST_URL = 'https://raw.githubusercontent.com/InjectiveLabs/injective-lists/master/json/tokens/mainnet.json';
 const TOKEN_CACHE_KEY = 'inj_token_cache_v2';
 const ITEMS_PER_PAGE = 25;
@@ -60,51 +71,101 @@ function getPriceTimeDiff(token, date) {
 }
 
 // ============================================================================
-// COST BASIS TRACKING (FIFO)
+// COST BASIS TRACKING
 // ============================================================================
+// Which lots a disposal consumes. Universal average pools the lots of all
+// wallets of a portfolio; every other method keeps lots per wallet.
+const COST_BASIS_METHODS = {
+  fifo: 'FIFO - first in, first out',
+  lifo: 'LIFO - last in, first out',
+  hifo: 'HIFO - highest cost first',
+  average: 'Average cost (per wallet)',
+  'average-universal': 'Average cost (all wallets)',
+  specific: 'Specific identification',
+};
+
 class CostBasisTracker {
-  constructor() {
-    this.lots = {}; // { [asset]: [{ amount, costPerUnit, date }] }
+  constructor(method = 'fifo') {
+    this.method = method === 'average-universal' ? 'average' : method;
+    this.lots = {}; // { [asset]: [{ id, amount, costPerUnit, date }] }, oldest first
   }
 
-  addLot(asset, amount, pricePerUnit, date) {
+  // `id` names the acquisition (its row key) so disposals can report and pick lots
+  addLot(asset, amount, pricePerUnit, date, id = null) {
     if (!this.lots[asset]) this.lots[asset] = [];
-    if (amount > 0 && pricePerUnit > 0) {
-      this.lots[asset].push({ amount, costPerUnit: pricePerUnit, date });
+    // Zero-cost lots are valid (self-minted supply)
+    if (amount > 0 && pricePerUnit >= 0) {
+      this.lots[asset].push({ id, amount, costPerUnit: pricePerUnit, date });
     }
   }
 
-  // FIFO: sell oldest lots first, return { costBasis, realizedPnl }
-  sellFIFO(asset, sellAmount, sellPricePerUnit) {
-    if (!this.lots[asset] || this.lots[asset].length === 0) {
-      // No cost basis - can't calculate PnL
-      return { costBasis: 0, realizedPnl: null };
+  // Lots in the order `method` consumes them
+  lotOrder(lots, lotIds, method = this.method) {
+    const ordered = [...lots];
+    switch (method) {
+      case 'lifo':
+        return ordered.reverse();
+      case 'hifo':
+        return ordered.sort((a, b) => b.costPerUnit - a.costPerUnit);
+      case 'specific': {
+        // Picked lots first, in the order picked - the rest falls back to FIFO
+        const picked = lotIds || [];
+        const rank = (lot) => (picked.includes(lot.id) ? picked.indexOf(lot.id) : picked.length);
+        return ordered.sort((a, b) => rank(a) - rank(b));
+      }
+      default:
+        return ordered;
     }
+  }
 
-    let remaining = Math.abs(sellAmount);
+  // Remove up to `amount` from the lots the method picks - returns { costBasis, amount, lots } consumed.
+  // `method` overrides the tracker's method for moves that aren't disposals (see moveMethod).
+  consumeLots(asset, amount, lotIds = null, method = this.method) {
+    const lots = this.lots[asset] || [];
+    let remaining = Math.abs(amount);
     let totalCostBasis = 0;
     let totalSold = 0;
 
-    while (remaining > 0 && this.lots[asset].length > 0) {
-      const lot = this.lots[asset][0];
+    const consumed = [];
+    const take = (lot, used) => {
+      totalCostBasis += used * lot.costPerUnit;
+      totalSold += used;
+      consumed.push({ ...lot, amount: used });
+      lot.amount -= used;
+    };
 
-      if (lot.amount <= remaining) {
-        // Use entire lot
-        totalCostBasis += lot.amount * lot.costPerUnit;
-        totalSold += lot.amount;
-        remaining -= lot.amount;
-        this.lots[asset].shift();
-      } else {
-        // Partial lot
-        totalCostBasis += remaining * lot.costPerUnit;
-        totalSold += remaining;
-        lot.amount -= remaining;
-        remaining = 0;
+    if (method === 'average') {
+      // Every lot gives up the same share, so both the sold and the remaining
+      // units stay at the average cost
+      const held = this.getHoldings(asset);
+      const share = held > 0 ? Math.min(1, remaining / held) : 0;
+      for (const lot of lots) {
+        if (share > 0) take(lot, share === 1 ? lot.amount : lot.amount * share);
       }
+    } else {
+      for (const lot of this.lotOrder(lots, lotIds, method)) {
+        if (remaining <= 0) break;
+        const used = Math.min(lot.amount, remaining);
+        remaining -= used;
+        take(lot, used);
+      }
+    }
+
+    this.lots[asset] = lots.filter(lot => lot.amount > 0);
+    return { costBasis: totalCostBasis, amount: totalSold, lots: consumed };
+  }
+
+  // Sell using the tracker's method, return { costBasis, realizedPnl, lots }
+  sell(asset, sellAmount, sellPricePerUnit, lotIds = null) {
+    if (!this.lots[asset] || this.lots[asset].length === 0) {
+      // No cost basis - can't calculate PnL
+      return { costBasis: 0, realizedPnl: null, lots: [] };
     }
 
+    const { costBasis: totalCostBasis, amount: totalSold, lots } = this.consumeLots(asset, sellAmount, lotIds);
+
     if (totalSold === 0 || sellPricePerUnit === 0) {
-      return { costBasis: 0, realizedPnl: null };
+      return { costBasis: 0, realizedPnl: null, lots };
     }
 
     const proceeds = totalSold * sellPricePerUnit;
@@ -112,10 +173,58 @@ class CostBasisTracker {
 
     return {
       costBasis: totalCostBasis,
-      realizedPnl: Math.round(realizedPnl * 100) / 100
+      realizedPnl: Math.round(realizedPnl * 100) / 100,
+      lots,
     };
   }
 
+  // Tokens destroyed without proceeds (e.g. burned deposits): the basis is a realized loss
+  writeOff(asset, amount, lotIds = null) {
+    if (!this.lots[asset] || this.lots[asset].length === 0) {
+      return { costBasis: 0, realizedPnl: null, lots: [] };
+    }
+
+    const { costBasis, amount: written, lots } = this.consumeLots(asset, amount, lotIds);
+    if (written === 0) return { costBasis: 0, realizedPnl: null, lots };
+
+    return { costBasis, realizedPnl: Math.round(-costBasis * 100) / 100, lots };
+  }
+
+  // Order lots are taken in when nothing is sold: oldest first, or an equal share of
+  // every lot with average cost. LIFO, HIFO and picked lots only apply to disposals.
+  moveMethod() {
+    return this.method === 'average' ? 'average' : 'fifo';
+  }
+
+  // Non-taxable conversion (e.g. INJ wrapped into a liquid staking token): the
+  // consumed lots move to the new asset with their total cost and dates intact
+  transferBasis(fromAsset, fromAmount, toAsset, toAmount) {
+    if (!this.lots[fromAsset] || this.lots[fromAsset].length === 0 || !(toAmount > 0)) return;
+
+    const { amount, lots } = this.consumeLots(fromAsset, fromAmount, null, this.moveMethod());
+    if (amount === 0) return;
+
+    // Units of the new asset per unit of the old one
+    const ratio = toAmount / Math.abs(fromAmount);
+    if (!this.lots[toAsset]) this.lots[toAsset] = [];
+    for (const lot of lots) {
+      this.lots[toAsset].push({ ...lot, amount: lot.amount * ratio, costPerUnit: lot.costPerUnit / ratio });
+    }
+    // Oldest first, like lots bought directly
+    this.lots[toAsset].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // Hand lots to the tracker of another wallet of the same owner - cost and dates
+  // move with the coins, nothing is realized
+  moveLots(asset, amount, target) {
+    if (!this.lots[asset] || this.lots[asset].length === 0 || target === this) return;
+
+    const { lots } = this.consumeLots(asset, amount, null, this.moveMethod());
+    if (!target.lots[asset]) target.lots[asset] = [];
+    target.lots[asset].push(...lots);
+    target.lots[asset].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
   // Get current holdings
   getHoldings(asset) {
     if (!this.lots[asset]) return 0;
@@ -123,6 +232,245 @@ class CostBasisTracker {
   }
 }
 
+// Helper: Held more than one year - disposed after the anniversary of the
+// acquisition (YYYY-MM-DD dates compare as strings)
+function isLongTerm(acquired, disposed) {
+  const anniversary = `${parseInt(acquired.slice(0, 4), 10) + 1}${acquired.slice(4)}`;
+  return disposed > anniversary;
+}
+
+// Helper: Per-lot breakdown of a disposal - proceeds are split by amount, so a
+// sale of coins bought on several dates yields one entry per acquisition
+function buildDisposals(tx, lots, pricePerUnit) {
+  return lots.map(lot => {
+    const proceeds = lot.amount * pricePerUnit;
+    const basis = lot.amount * lot.costPerUnit;
+    return {
+      asset: tx.sentCurrency,
+      amount: lot.amount,
+      acquired: lot.date,
+      disposed: tx.dateStr,
+      proceeds,
+      basis,
+      gain: proceeds - basis,
+      term: isLongTerm(lot.date, tx.dateStr) ? 'long' : 'short',
+    };
+  });
+}
+
+// Helper: Units disposed of beyond the tracked lots (acquired before the start date
+// or without a price) - the proceeds are known, acquisition date, basis and term aren't
+function buildUncoveredDisposal(tx, amount, pricePerUnit) {
+  return {
+    asset: tx.sentCurrency,
+    amount,
+    acquired: null,
+    disposed: tx.dateStr,
+    proceeds: amount * pricePerUnit,
+    basis: null,
+    gain: null,
+    term: 'unknown',
+  };
+}
+
+// Populate fiat values and realized P&L of rows sorted oldest first, using prices
+// from the session price store. Can be re-run on the same rows after edits.
+// Each wallet of a portfolio keeps its own lots unless the method pools them.
+// Disposals record the lots they consumed in `lotsConsumed` and the gain per lot
+// in `disposals`, plus an entry without basis for any units no lot covered.
+function calculatePnl(rows, { excludeMintIncome = false, method = 'fifo' } = {}) {
+  const trackers = {};
+  const trackerFor = (wallet) => {
+    const key = method === 'average-universal' ? '' : wallet;
+    if (!trackers[key]) trackers[key] = new CostBasisTracker(method);
+    return trackers[key];
+  };
+
+  for (const tx of rows) {
+    const costTracker = trackerFor(tx.wallet);
+    tx.lotsConsumed = [];
+    tx.availableLots = null;
+    tx.disposals = [];
+    const receivedQty = tx.receivedQty ? parseFloat(tx.receivedQty) : 0;
+    const sentQty = tx.sentQty ? parseFloat(tx.sentQty) : 0;
+    let receivedPrice = tx.receivedCurrency ? getPrice(tx.receivedCurrency, tx.dateStr) : null;
+    let sentPrice = tx.sentCurrency ? getPrice(tx.sentCurrency, tx.dateStr) : null;
+
+    // Fiat values entered by hand fix the price of their leg
+    const fiatOverrides = tx.overrides || {};
+    if (receivedQty > 0 && fiatOverrides.receivedFiat) {
+      receivedPrice = parseFloat(fiatOverrides.receivedFiat) / receivedQty;
+    }
+    if (sentQty > 0 && fiatOverrides.sentFiat) {
+      sentPrice = parseFloat(fiatOverrides.sentFiat) / sentQty;
+    }
+
+    // Trades against a token without a market (e.g. pool shares): both legs are
+    // worth the same, so value the unpriced leg at the priced one
+    if (receivedQty > 0 && sentQty > 0) {
+      if (receivedPrice === null && sentPrice !== null) {
+        receivedPrice = (sentQty * sentPrice) / receivedQty;
+      } else if (sentPrice === null && receivedPrice !== null) {
+        sentPrice = (receivedQty * receivedPrice) / sentQty;
+      }
+    }
+
+    // Populate fiat values for CSV (left empty if price unavailable, also on re-runs)
+    tx.receivedFiat = '';
+    tx.sentFiat = '';
+    if (receivedQty > 0 && receivedPrice !== null) {
+      tx.receivedFiat = (receivedQty * receivedPrice).toFixed(2);
+    }
+    if (sentQty > 0 && sentPrice !== null) {
+      tx.sentFiat = (sentQty * sentPrice).toFixed(2);
+    }
+
+    // Mark transactions with missing prices
+    tx.missingPrice = (receivedQty > 0 && receivedPrice === null) ||
+                      (sentQty > 0 && sentPrice === null);
+
+    // Track price sources and time diffs for this transaction
+    const recvSource = tx.receivedCurrency ? getPriceSource(tx.receivedCurrency, tx.dateStr) : null;
+    const sentSource = tx.sentCurrency ? getPriceSource(tx.sentCurrency, tx.dateStr) : null;
+    tx.priceSource = recvSource || sentSource; // 'injective-dex' or 'pyth'
+
+    // Check for time difference warnings
+    const recvTimeDiff = tx.receivedCurrency ? getPriceTimeDiff(tx.receivedCurrency, tx.dateStr) : null;
+    const sentTimeDiff = tx.sentCurrency ? getPriceTimeDiff(tx.sentCurrency, tx.dateStr) : null;
+    tx.priceTimeDiff = recvTimeDiff || sentTimeDiff; // Hours away from actual trade
+
+    // Wraps move the cost basis to the wrapped token - nothing is realized
+    if (tx.tag === 'Wrap') {
+      if (sentQty > 0 && receivedQty > 0) {
+        costTracker.transferBasis(tx.sentCurrency, sentQty, tx.receivedCurrency, receivedQty);
+      }
+      tx.pnl = '';
+      tx.pnlDisplay = '';
+      continue;
+    }
+
+    // Coins sent to another wallet of the portfolio take their lots along
+    if (tx.tag === 'Self Transfer') {
+      if (sentQty > 0 && tx.sentCurrency && tx.selfTransferTo) {
+        costTracker.moveLots(tx.sentCurrency, sentQty, trackerFor(tx.selfTransferTo));
+      }
+      tx.pnl = '';
+      tx.pnlDisplay = '';
+      continue;
+    }
+
+    // Self-minted supply is acquired at zero cost
+    if (tx.tag === 'Mint') {
+      if (receivedQty > 0 && tx.receivedCurrency) {
+        costTracker.addLot(tx.receivedCurrency, receivedQty, 0, tx.dateStr, tx.rowKey);
+      }
+      if (excludeMintIncome) {
+        tx.receivedFiat = '';
+        tx.missingPrice = false;
+      }
+      tx.pnl = '';
+      tx.pnlDisplay = '';
+      continue;
+    }
+
+    // Internal moves keep their existing lots - nothing is acquired or disposed
+    if (NON_TAXABLE_TAGS.has(tx.tag)) {
+      tx.pnl = '';
+      tx.pnlDisplay = '';
+      continue;
+    }
+
+    // Add received tokens to cost basis (only if we have a price)
+    if (receivedQty > 0 && tx.receivedCurrency && receivedPrice !== null) {
+      costTracker.addLot(tx.receivedCurrency, receivedQty, receivedPrice, tx.dateStr, tx.rowKey);
+    }
+
+    // Calculate P&L for sent tokens (only if we have a price - write-offs need none)
+    const isWriteOff = WRITE_OFF_TAGS.has(tx.tag);
+    if (sentQty > 0 && tx.sentCurrency && (sentPrice !== null || isWriteOff)) {
+      // Lots to pick from with specific identification (picks are row overrides)
+      if (method === 'specific') {
+        tx.availableLots = (costTracker.lots[tx.sentCurrency] || []).map(lot => ({ ...lot }));
+      }
+      const lotIds = tx.overrides?.lots || null;
+      const { realizedPnl, lots } = isWriteOff
+        ? costTracker.writeOff(tx.sentCurrency, sentQty, lotIds)
+        : costTracker.sell(tx.sentCurrency, sentQty, sentPrice, lotIds);
+      tx.lotsConsumed = lots;
+      const proceedsPerUnit = isWriteOff ? 0 : sentPrice;
+      if (realizedPnl !== null) tx.disposals = buildDisposals(tx, lots, proceedsPerUnit);
+      const uncovered = sentQty - lots.reduce((sum, lot) => sum + lot.amount, 0);
+      if (uncovered > sentQty * 1e-9) tx.disposals.push(buildUncoveredDisposal(tx, uncovered, proceedsPerUnit));
+      if (realizedPnl !== null) {
+        tx.pnl = realizedPnl.toFixed(2);
+        tx.pnlDisplay = realizedPnl >= 0 ? `+${realizedPnl.toFixed(2)}` : realizedPnl.toFixed(2);
+      } else {
+        tx.pnl = '';
+        tx.pnlDisplay = '';
+      }
+    } else {
+      // No price available or no sent amount
+      tx.pnl = '';
+      tx.pnlDisplay = '';
+    }
+  }
+  return rows;
+}
+
+// Helper: Table stats derived from the rows (counts per tag, P&L, price warnings)
+function summarizeRows(rows) {
+  const tagCounts = {};
+  let totalPnl = 0;
+  let shortTermPnl = 0;
+  let longTermPnl = 0;
+  let uncoveredDisposals = 0;
+  let uncoveredProceeds = 0;
+  let missingPriceCount = 0;
+  let timeDiffCount = 0;
+  const timeDiffList = [];
+  rows.forEach(tx => {
+    const tag = tx.tag || '';
+    tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+
+    if (tx.missingPrice) {
+      missingPriceCount++;
+    }
+    if (tx.priceTimeDiff && tx.priceTimeDiff > 1) {
+      timeDiffCount++;
+      const token = tx.receivedCurrency || tx.sentCurrency;
+      if (token) {
+        timeDiffList.push(`${token} on ${tx.dateStr} (${tx.priceTimeDiff}h away)`);
+      }
+    }
+    if (tx.pnl && tx.pnl !== '') {
+      totalPnl += parseFloat(tx.pnl) || 0;
+    }
+    for (const disposal of tx.disposals || []) {
+      if (disposal.term === 'long') {
+        longTermPnl += disposal.gain;
+      } else if (disposal.term === 'short') {
+        shortTermPnl += disposal.gain;
+      } else {
+        uncoveredDisposals++;
+        uncoveredProceeds += disposal.proceeds;
+      }
+    }
+  });
+
+  return {
+    total: rows.length,
+    tagCounts,
+    totalPnl,
+    shortTermPnl,
+    longTermPnl,
+    uncoveredDisposals,
+    uncoveredProceeds,
+    missingPriceCount,
+    timeDiffCount,
+    timeDiffList: [...new Set(timeDiffList)],
+  };
+}
+
 // ============================================================================
 // TOKEN CACHE - Persistent with localStorage + memory
 // ============================================================================
@@ -199,6 +547,24 @@ function persistTokenCache(map) {
   } catch (e) { /* ignore */ }
 }
 
+// ============================================================================
+// EVM TOKEN PAIRS - ERC-20 address -> bank denom (in-memory, loaded per session)
+// ============================================================================
+const evmTokenPairs = { data: {}, loaded: false };
+
+async function loadEvmTokenPairs() {
+  if (evmTokenPairs.loaded) return evmTokenPairs.data;
+  try {
+    const res = await fetch(EVM_TOKEN_PAIRS_API);
+    if (res.ok) {
+      const { pairs } = await res.json();
+      evmTokenPairs.data = pairs || {};
+      evmTokenPairs.loaded = true;
+    }
+  } catch (e) { /* ignore - logs fall back to erc20: denoms */ }
+  return evmTokenPairs.data;
+}
+
 // Common tokens hardcoded for instant resolution
 const COMMON_TOKENS = {
   'inj': { symbol: 'INJ', decimals: 18 },
@@ -231,10 +597,19 @@ function getTokenInfo(denom) {
   if (denom.startsWith('ibc/')) {
     return { symbol: `IBC/${denom.slice(4, 10)}`, decimals: 6 };
   }
+  if (denom.startsWith('erc20:')) {
+    const addr = denom.slice(6);
+    return { symbol: `${addr.slice(0, 6)}...${addr.slice(-4)}`, decimals: 18 };
+  }
   if (denom.startsWith('factory/')) {
     const parts = denom.split('/');
     return { symbol: (parts[parts.length - 1] || 'TOKEN').toUpperCase(), decimals: 18 };
   }
+  // Insurance fund pool shares are numbered per fund (share1, share2, ...)
+  const shareMatch = key.match(/^share(\d+)$/);
+  if (shareMatch) {
+    return { symbol: `INS-SHARE${shareMatch[1]}`, decimals: 18 };
+  }
   if (denom.startsWith('share')) {
     return { symbol: 'LP-TOKEN', decimals: 18 };
   }
@@ -254,6 +629,345 @@ function formatAmount(amount, denom) {
   return num.toLocaleString('en-US', { maximumFractionDigits: 2 });
 }
 
+// ============================================================================
+// CONTRACT INFO - Creator and label of called contracts (in-memory, per session)
+// ============================================================================
+const contractInfo = {
+  contracts: {}, // { [contract]: { codeId, creator, admin, label } }
+  minters: {},   // { [cw20 token]: minter contract }
+  requested: new Set(),
+};
+
+// Helper: Contracts called by a batch of transactions (authz inner messages included)
+function getCalledContracts(txs) {
+  const contracts = new Set();
+  for (const tx of txs) {
+    for (const msg of getTxMessages(tx).flatMap(m => [m, ...getExecMessages(m)])) {
+      const call = decodeContractCall(msg);
+      if (call?.contract) contracts.add(call.contract);
+    }
+  }
+  return [...contracts];
+}
+
+// Load metadata of contracts and minters of CW20 tokens not looked up yet. Failures
+// leave them unknown - calls are then only matched by address.
+async function loadContractInfo(addresses, tokens = []) {
+  const pending = [
+    ...addresses.filter(a => !contractInfo.requested.has(a)).map(a => ['addresses', a]),
+    ...tokens.filter(t => !contractInfo.requested.has(`minter:${t}`)).map(t => ['minters', t]),
+  ];
+  for (let i = 0; i < pending.length; i += 50) {
+    const chunk = pending.slice(i, i + 50);
+    const query = ['addresses', 'minters']
+      .map(key => `${key}=${chunk.filter(([k]) => k === key).map(([, a]) => a).join(',')}`)
+      .join('&');
+    try {
+      const res = await fetch(`${CONTRACTS_API}?${query}`);
+      if (!res.ok) continue;
+      const { contracts, minters } = await res.json();
+      Object.assign(contractInfo.contracts, contracts);
+      Object.assign(contractInfo.minters, minters);
+      for (const [key, address] of chunk) {
+        contractInfo.requested.add(key === 'minters' ? `minter:${address}` : address);
+      }
+    } catch (e) { /* ignore - retried on the next fetch */ }
+  }
+}
+
+// ============================================================================
+// CLASSIFICATION RULES - User-defined, persisted in localStorage
+// ============================================================================
+const RULES_STORAGE_KEY = 'inj_classification_rules_v1';
+const RULE_MATCH_FIELDS = ['msgType', 'contract', 'action', 'token', 'counterparty'];
+
+// Helper: Validate rules from storage or an imported file ({ rules } or a bare list).
+// Rules that match everything or change nothing are dropped.
+function normalizeClassificationRules(input) {
+  const list = Array.isArray(input) ? input : input?.rules;
+  if (!Array.isArray(list)) throw new Error('Expected a list of rules');
+
+  return list.map((r, i) => {
+    const rule = {
+      id: String(r?.id || `rule-${Date.now()}-${i}`),
+      enabled: r?.enabled !== false,
+      ignore: r?.ignore === true,
+      tag: TAG_CONFIG[r?.tag] ? r.tag : '',
+      note: typeof r?.note === 'string' ? r.note.trim() : '',
+    };
+    for (const field of RULE_MATCH_FIELDS) {
+      rule[field] = typeof r?.[field] === 'string' ? r[field].trim() : '';
+    }
+    return rule;
+  }).filter(r => RULE_MATCH_FIELDS.some(f => r[f]) && (r.ignore || r.tag || r.note));
+}
+
+function loadClassificationRules() {
+  if (typeof window === 'undefined') return [];
+  try {
+    return normalizeClassificationRules(JSON.parse(localStorage.getItem(RULES_STORAGE_KEY) || '[]'));
+  } catch {
+    return [];
+  }
+}
+
+function saveClassificationRules(rules) {
+  try {
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+  } catch (e) { /* ignore */ }
+}
+
+// Helper: What rules can match on for one message
+function getRuleSubject(msg, movements, isOwner) {
+  const value = getMessageValue(msg);
+  const call = decodeContractCall(msg);
+  const addresses = [
+    ...(movements.counterparties || []),
+    value.to_address, value.from_address, value.receiver,
+  ];
+
+  return {
+    msgType: getMessageType(msg).replace(/^\//, '').toLowerCase(),
+    contracts: [call?.contract, call?.viaToken, value.contract, value.data?.to]
+      .filter(Boolean).map(a => a.toLowerCase()),
+    action: (call?.action || '').toLowerCase(),
+    tokens: [...movements.spent, ...movements.received]
+      .flatMap(c => [c.symbol, c.denom]).filter(Boolean).map(t => t.toLowerCase()),
+    counterparties: addresses.filter(a => a && !isOwner(a)).map(a => a.toLowerCase()),
+  };
+}
+
+// Helper: Whether every criterion of a rule holds (case-insensitive). Message types
+// match either the full type URL or its short name ("MsgSend").
+function ruleMatches(rule, subject) {
+  const want = (field) => rule[field].toLowerCase();
+  if (rule.msgType) {
+    const type = want('msgType').replace(/^\//, '');
+    if (subject.msgType !== type && !subject.msgType.endsWith(`.${type}`)) return false;
+  }
+  if (rule.contract && !subject.contracts.includes(want('contract'))) return false;
+  if (rule.action && subject.action !== want('action')) return false;
+  if (rule.token && !subject.tokens.includes(want('token'))) return false;
+  if (rule.counterparty && !subject.counterparties.includes(want('counterparty'))) return false;
+  return true;
+}
+
+// First enabled rule matching a message, or null
+function findClassificationRule(rules, msg, movements, isOwner) {
+  if (!rules?.length) return null;
+  const subject = getRuleSubject(msg, movements, isOwner);
+  return rules.find(rule => rule.enabled && ruleMatches(rule, subject)) || null;
+}
+
+// Helper: One-line summary of a rule, e.g. "action = claim → Reward"
+function describeClassificationRule(rule) {
+  const match = RULE_MATCH_FIELDS.filter(f => rule[f]).map(f => `${f} = ${rule[f]}`).join(', ');
+  const effect = rule.ignore
+    ? 'Ignore'
+    : [rule.tag && TAG_CONFIG[rule.tag].label, rule.note && `"${rule.note}"`].filter(Boolean).join(' ');
+  return `${match} → ${effect}`;
+}
+
+// ============================================================================
+// ROW OVERRIDES - Manual edits of exported rows, persisted in localStorage
+// ============================================================================
+const OVERRIDES_STORAGE_KEY = 'inj_row_overrides_v2';
+// v1 keyed edits by "txHash:rowIndex" only - see migrateRowOverrides
+const LEGACY_OVERRIDES_STORAGE_KEY = 'inj_row_overrides_v1';
+const OVERRIDE_FIELDS = ['tag', 'notes', 'receivedQty', 'receivedFiat', 'sentQty', 'sentFiat'];
+
+// Saved edits, including v1 ones that still wait to be migrated
+function loadRowOverrides() {
+  if (typeof window === 'undefined') return {};
+  const load = (key) => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(key) || '{}');
+      return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch {
+      return {};
+    }
+  };
+  return { ...load(LEGACY_OVERRIDES_STORAGE_KEY), ...load(OVERRIDES_STORAGE_KEY) };
+}
+
+function saveRowOverrides(overrides) {
+  try {
+    localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(overrides));
+    localStorage.removeItem(LEGACY_OVERRIDES_STORAGE_KEY);
+  } catch (e) { /* ignore */ }
+}
+
+// Helper: What a row's key is built on - its tx hash, or for rows without one the
+// ID of what they record (exchange fill, settled governance proposal, insurance
+// fund redemption)
+function getRowSource(row) {
+  if (row.txHash) return row.txHash;
+  if (row.tradeId) return row.tradeId;
+  if (row.govProposalId) return `proposal-${row.govProposalId}`;
+  if (row.redemptionId) return `redemption-${row.redemptionId}`;
+  return '';
+}
+
+// Key rows as "wallet:source:rowIndex", the source being the tx hash or what stands
+// in for it (see getRowSource). A tx between two portfolio wallets has rows in both
+// histories, so the wallet keeps their keys apart. The index counts the wallet's
+// rows of the tx in the order they were built, which is the same on every fetch of
+// the same history.
+function assignRowKeys(rows) {
+  const counts = {};
+  for (const row of rows) {
+    const key = `${row.wallet}:${getRowSource(row)}`;
+    const index = counts[key] || 0;
+    counts[key] = index + 1;
+    row.rowKey = `${key}:${index}`;
+  }
+  return rows;
+}
+
+// Re-key v1 edits ("txHash:rowIndex", saved when only one wallet could be fetched)
+// to the wallet whose rows hold the tx, including lots picked for specific
+// identification. Keys of txs found in several fetched wallets can't be told
+// apart and wait for a fetch of one wallet. Returns the same object when nothing
+// changed.
+function migrateRowOverrides(rows, overrides) {
+  const isLegacy = (key) => key.split(':').length === 2;
+  if (!Object.keys(overrides).some(isLegacy) && !Object.values(overrides).some(o => o.lots?.some(isLegacy))) {
+    return overrides;
+  }
+
+  const owners = {};
+  for (const row of rows) {
+    const source = getRowSource(row);
+    if (!owners[source]) owners[source] = new Set();
+    owners[source].add(row.wallet);
+  }
+  const migrateKey = (key) => {
+    if (!isLegacy(key)) return key;
+    const [txHash, index] = key.split(':');
+    return owners[txHash]?.size === 1 ? `${[...owners[txHash]][0]}:${txHash}:${index}` : key;
+  };
+
+  const migrated = {};
+  for (const [key, override] of Object.entries(overrides)) {
+    const newKey = migrateKey(key);
+    if (newKey !== key && overrides[newKey]) continue;
+    migrated[newKey] = override.lots ? { ...override, lots: override.lots.map(migrateKey) } : override;
+  }
+  return migrated;
+}
+
+// Apply overrides to keyed rows, undoing earlier ones first. Fiat values are only
+// recorded on the row - calculatePnl applies them since it recomputes fiat values.
+function applyRowOverrides(rows, overrides) {
+  for (const row of rows) {
+    if (row.original) Object.assign(row, row.original);
+    row.original = null;
+    row.overrides = overrides[row.rowKey] || null;
+    if (!row.overrides) continue;
+
+    row.original = {};
+    for (const field of ['tag', 'notes', 'receivedQty', 'sentQty']) {
+      if (row.overrides[field] === undefined) continue;
+      row.original[field] = row[field];
+      row[field] = row.overrides[field];
+    }
+  }
+  return rows;
+}
+
+// ============================================================================
+// SPAM TOKENS - Scoring of unsolicited tokens and the ignore list (localStorage)
+// ============================================================================
+const IGNORED_DENOMS_KEY = 'inj_ignored_denoms_v1';
+const SPAM_SCORE_THRESHOLD = 6;
+// Links and giveaway bait in token names ("claim-at-xyz.com", "$500 REWARD")
+const SPAM_NAME_PATTERN = /https?:|www\.|\.(com|io|xyz|org|net|app|site)\b|claim|reward|airdrop|visit|gift|bonus|\$/i;
+
+// Ignored tokens as { [denom]: symbol } - the symbol is kept for display only
+function loadIgnoredDenoms() {
+  if (typeof window === 'undefined') return {};
+  try {
+    const saved = JSON.parse(localStorage.getItem(IGNORED_DENOMS_KEY) || '{}');
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveIgnoredDenoms(ignored) {
+  try {
+    localStorage.setItem(IGNORED_DENOMS_KEY, JSON.stringify(ignored));
+  } catch (e) { /* ignore */ }
+}
+
+// Denoms with an active spot market - returns a Set (lowercase) or null if unavailable
+async function fetchMarketDenoms() {
+  try {
+    const res = await fetch(MARKETS_API);
+    if (!res.ok) return null;
+    const { denoms } = await res.json();
+    return new Set((denoms || []).map(d => d.toLowerCase()));
+  } catch {
+    return null;
+  }
+}
+
+// Score every token the rows touch and return the likely spam, highest score first.
+// Signals: not in the official token list, no spot market, received without the
+// wallet signing, a link or giveaway bait as its name, and never sent on.
+function detectSpamTokens(rows, marketDenoms) {
+  const tokens = {};
+  const track = (denom, symbol) => {
+    if (!tokens[denom]) tokens[denom] = { denom, symbol, received: 0, unsolicited: 0, sent: 0 };
+    return tokens[denom];
+  };
+  for (const row of rows) {
+    if (row.receivedDenom) {
+      const token = track(row.receivedDenom, row.receivedCurrency);
+      token.received++;
+      // The wallet paid no fee and gave nothing in return - someone else pushed it
+      if (!row.sentQty && !row.feeRaw) token.unsolicited++;
+    }
+    if (row.sentDenom) track(row.sentDenom, row.sentCurrency).sent++;
+  }
+
+  const flagged = [];
+  for (const token of Object.values(tokens)) {
+    const key = token.denom.toLowerCase();
+    if (COMMON_TOKENS[key] || isNftSymbol(token.denom)) continue;
+
+    const reasons = [];
+    let score = 0;
+    const flag = (points, reason) => {
+      score += points;
+      reasons.push(reason);
+    };
+    if (!tokenCache.data?.[key]) flag(2, 'Not in the official token list');
+    if (marketDenoms && !marketDenoms.has(key)) flag(2, 'No spot market');
+    if (token.unsolicited > 0) flag(2, 'Received without the wallet signing');
+    if (SPAM_NAME_PATTERN.test(`${token.symbol} ${token.denom.split('/').pop()}`)) flag(3, 'Name looks like a link or giveaway');
+    if (token.sent === 0) flag(1, 'Never sent or sold');
+
+    if (score >= SPAM_SCORE_THRESHOLD) flagged.push({ ...token, score, reasons });
+  }
+  return flagged.sort((a, b) => b.score - a.score || a.symbol.localeCompare(b.symbol));
+}
+
+// Drop an ignored token's legs from built rows; rows left without movements or a
+// fee disappear. Trades keep their tag until the next fetch reparses them.
+function removeDenomLegs(rows, denom) {
+  return rows.flatMap(row => {
+    const next = { ...row };
+    if (row.receivedDenom === denom) {
+      Object.assign(next, { receivedQty: '', receivedCurrency: '', receivedFiat: '', receivedDenom: '' });
+    }
+    if (row.sentDenom === denom) {
+      Object.assign(next, { sentQty: '', sentCurrency: '', sentFiat: '', sentDenom: '' });
+    }
+    return next.receivedQty || next.sentQty || next.feeAmount ? [next] : [];
+  });
+}
+
 // ============================================================================
 // TRANSACTION PARSING - Comprehensive handler for all Injective message types
 // ============================================================================
@@ -270,12 +984,69 @@ function parseCoinFromString(coinStr) {
   return { amount, symbol, denom, rawAmount };
 }
 
-// Helper: Extract all coin movements from transaction events (deduplicated by denom)
-function extractCoinMovements(tx, walletAddress) {
+// Helper: Parse a { denom, amount } coin object from a message body
+function parseCoin(coin) {
+  if (!coin?.denom || !coin.amount) return null;
+  return parseCoinFromString(`${coin.amount}${coin.denom}`);
+}
+
+// Helper: Get the messages of a transaction regardless of API response shape
+function getTxMessages(tx) {
+  return tx.messages || tx.data?.messages || tx.tx?.body?.messages || [];
+}
+
+// Helper: Full type URL of a message, e.g. "/cosmos.bank.v1beta1.MsgSend"
+function getMessageType(msg) {
+  return msg?.['@type'] || msg?.type || '';
+}
+
+// Helper: Message body - the Explorer wraps it as { type, value }, LCD inlines the fields
+function getMessageValue(msg) {
+  return msg?.value || msg || {};
+}
+
+// Helper: Get the events emitted by a single message of a transaction.
+// Older nodes group events per message in tx.logs; newer ones flatten them into
+// tx.events and tag each with a msg_index attribute.
+function getMessageEvents(tx, msgIndex) {
+  const logs = tx.logs || [];
+  if (logs.some(log => log.events?.length)) {
+    const log = logs.find(l => l.msg_index !== undefined && Number(l.msg_index) === msgIndex) || logs[msgIndex];
+    return log?.events || [];
+  }
+
+  const events = tx.events || [];
+  const eventMsgIndex = (event) => event.attributes?.find(a => a.key === 'msg_index')?.value;
+  if (!events.some(e => eventMsgIndex(e) !== undefined)) {
+    // No per-message attribution available - everything belongs to the first message
+    return msgIndex === 0 ? events : [];
+  }
+  // Events without msg_index (fee deduction, ante handlers) belong to the tx, not a message
+  return events.filter(e => {
+    const idx = eventMsgIndex(e);
+    return idx !== undefined && Number(idx) === msgIndex;
+  });
+}
+
+// Helper: Extract coin movements caused by one message (deduplicated by denom).
+// Denoms on the user's ignore list are left out entirely.
+function extractCoinMovements(tx, walletAddress, msgIndex = 0, ignoredDenoms = null) {
   const received = {}; // { denom: { amount, symbol, denom, rawAmount } }
   const spent = {};    // { denom: { amount, symbol, denom, rawAmount } }
-  const events = tx.logs?.[0]?.events || tx.events || [];
-  const walletLower = walletAddress.toLowerCase();
+  const counterparties = new Set(); // Other side of the wallet's transfers
+  const events = getMessageEvents(tx, msgIndex);
+  // Exact match on the wallet, its 0x form or its exchange subaccounts
+  const isOwner = createOwnerMatcher(walletAddress);
+
+  // Aggregate by denom
+  const addCoin = (target, parsed) => {
+    if (!parsed || ignoredDenoms?.has(parsed.denom)) return;
+    if (target[parsed.denom]) {
+      target[parsed.denom].amount += parsed.amount;
+    } else {
+      target[parsed.denom] = { ...parsed };
+    }
+  };
 
   for (const event of events) {
     const attrs = event.attributes || [];
@@ -283,88 +1054,342 @@ function extractCoinMovements(tx, walletAddress) {
 
     // Only process coin_received and coin_spent (skip transfer to avoid dupes)
     if (event.type === 'coin_received') {
-      const receiver = getAttr('receiver')?.toLowerCase();
+      const receiver = getAttr('receiver');
       const amount = getAttr('amount');
-      if (receiver?.includes(walletLower.slice(0, 10)) && amount) {
-        const coins = amount.split(',');
-        for (const c of coins) {
-          const parsed = parseCoinFromString(c.trim());
-          if (parsed) {
-            // Aggregate by denom
-            if (received[parsed.denom]) {
-              received[parsed.denom].amount += parsed.amount;
-            } else {
-              received[parsed.denom] = { ...parsed };
-            }
-          }
-        }
+      if (isOwner(receiver) && amount) {
+        for (const c of amount.split(',')) addCoin(received, parseCoinFromString(c.trim()));
       }
     }
 
     if (event.type === 'coin_spent') {
-      const spender = getAttr('spender')?.toLowerCase();
+      const spender = getAttr('spender');
       const amount = getAttr('amount');
-      if (spender?.includes(walletLower.slice(0, 10)) && amount) {
-        const coins = amount.split(',');
-        for (const c of coins) {
-          const parsed = parseCoinFromString(c.trim());
-          if (parsed) {
-            // Aggregate by denom
-            if (spent[parsed.denom]) {
-              spent[parsed.denom].amount += parsed.amount;
-            } else {
-              spent[parsed.denom] = { ...parsed };
-            }
-          }
-        }
+      if (isOwner(spender) && amount) {
+        for (const c of amount.split(',')) addCoin(spent, parseCoinFromString(c.trim()));
       }
     }
+
+    // Transfer events only name who was on the other side
+    if (event.type === 'transfer') {
+      const sender = getAttr('sender');
+      const recipient = getAttr('recipient');
+      if (isOwner(sender) && recipient) counterparties.add(recipient);
+      if (isOwner(recipient) && sender) counterparties.add(sender);
+    }
+  }
+
+  // Helper: Record coins moved by a token contract, plus who the wallet traded them with
+  const addTokenTransfer = ({ from, to }, coin) => {
+    if (isOwner(to)) {
+      addCoin(received, coin);
+      if (from) counterparties.add(from);
+    }
+    if (isOwner(from)) {
+      addCoin(spent, coin);
+      if (to) counterparties.add(to);
+    }
+  };
+
+  // EVM ERC-20 Transfer logs. Bank-backed tokens (MultiVM Token Standard) move through
+  // the bank precompile, so their logs only count when no bank event recorded the move.
+  const bankReceived = new Set(Object.keys(received));
+  const bankSpent = new Set(Object.keys(spent));
+  for (const transfer of getErc20Transfers(events)) {
+    const denom = evmTokenPairs.data[transfer.token] || `erc20:${transfer.token}`;
+    addTokenTransfer({
+      from: bankSpent.has(denom) ? null : transfer.from,
+      to: bankReceived.has(denom) ? null : transfer.to,
+    }, parseCoinFromString(`${transfer.amount}${denom}`));
+  }
+
+  // CW20 balances live in contract state - their movements only show up in wasm events
+  for (const transfer of getCw20Transfers(events)) {
+    addTokenTransfer(transfer, parseCoinFromString(`${transfer.amount}${transfer.contract}`));
+  }
+
+  // CW721 NFTs are single-unit assets
+  for (const transfer of getCw721Transfers(events)) {
+    addTokenTransfer(transfer, toNftCoin(transfer));
   }
 
   // Convert to arrays
   return {
     received: Object.values(received),
-    spent: Object.values(spent)
+    spent: Object.values(spent),
+    counterparties: [...counterparties].filter(a => !isOwner(a)).map(a => a.toLowerCase()),
   };
 }
 
-// Helper: Get human-readable note for a transaction
-function getTransactionNote(tx) {
-  const messages = tx.messages || tx.data?.messages || tx.tx?.body?.messages || [];
-  const msg = messages[0];
-  if (!msg) return 'Transaction';
-
-  const type = msg['@type'] || msg.type || '';
-  const typeShort = type.split('.').pop().replace('Msg', '');
+// CW20 actions that move balances: minted tokens only have a recipient, burned only a sender
+const CW20_ACTIONS = new Set(['transfer', 'send', 'transfer_from', 'send_from', 'mint', 'burn', 'burn_from']);
 
-  // For contract executions, extract the action name
-  if (typeShort === 'ExecuteContract' || typeShort === 'ExecuteContractCompat') {
-    try {
-      const msgData = typeof msg.msg === 'string' ? JSON.parse(msg.msg) : msg.msg;
-      if (msgData) {
-        const action = Object.keys(msgData)[0] || 'execute';
-        return action;
+// Helper: Per-contract attribute sets of a message's wasm events. One wasm event can
+// hold attributes of several contracts - each contract's part starts at _contract_address.
+function getWasmSegments(events) {
+  const segments = [];
+  for (const event of events) {
+    if (event.type !== 'wasm') continue;
+
+    let segment = null;
+    for (const { key, value } of event.attributes || []) {
+      if (key === '_contract_address') {
+        segment = { contract: value };
+        segments.push(segment);
+      } else if (segment && !(key in segment)) {
+        segment[key] = value;
       }
-    } catch { /* ignore */ }
-    return 'contract';
+    }
   }
+  return segments;
+}
 
-  return typeShort || 'Transaction';
+// Helper: CW20 balance changes in a message's wasm events
+function getCw20Transfers(events) {
+  const transfers = [];
+  for (const { contract, action, from, to, owner, recipient, amount } of getWasmSegments(events)) {
+    if (!CW20_ACTIONS.has(action) || !/^\d+$/.test(amount || '')) continue;
+    transfers.push({
+      contract: contract.toLowerCase(),
+      action,
+      // transfer_from/send_from/burn_from name the token owner `owner` on some CW20 versions
+      from: action === 'mint' ? null : (from || owner || null),
+      to: action === 'burn' || action === 'burn_from' ? null : (to || recipient || null),
+      amount,
+    });
+  }
+  return transfers;
 }
 
-function parseTransaction(tx, walletAddress, includeFailedForGas = false) {
-  // Check if transaction failed
-  const isFailed = (tx.code && tx.code !== 0) || (tx.txCode && tx.txCode !== 0) || tx.errorLog || tx.error_log;
+// keccak256('Transfer(address,address,uint256)')
+const ERC20_TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
 
-  // Skip failed transactions unless we're including them for gas deduction
-  if (isFailed && !includeFailedForGas) return [];
+// Helper: EVM bytes as a bare hex string - logs and tx payloads come either as
+// 0x-hex or base64 (protobuf JSON) depending on the API
+function evmBytesToHex(data) {
+  if (!data) return '';
+  if (data.startsWith('0x')) return data.slice(2).toLowerCase();
+  try {
+    return Array.from(atob(data), c => c.charCodeAt(0).toString(16).padStart(2, '0')).join('');
+  } catch {
+    return '';
+  }
+}
 
-  const results = [];
-  const timestamp = tx.blockTimestamp || tx.block_timestamp || tx.timestamp || tx.time;
-  const date = new Date(timestamp);
+// Helper: ERC-20 Transfer logs of an EVM message (tx_log events, one JSON log each)
+function getErc20Transfers(events) {
+  const transfers = [];
+  for (const event of events) {
+    if (event.type !== 'tx_log') continue;
+    for (const { key, value } of event.attributes || []) {
+      if (key !== 'txLog') continue;
+      let log;
+      try {
+        log = JSON.parse(value);
+      } catch {
+        continue;
+      }
 
-  if (isNaN(date.getTime())) return []; // Invalid date
+      // ERC-721 Transfer shares the signature but indexes the token id (4 topics)
+      const topics = log.topics || [];
+      if (topics.length !== 3 || topics[0].toLowerCase() !== ERC20_TRANSFER_TOPIC) continue;
+      const data = evmBytesToHex(log.data);
+      if (!data) continue;
+      const amount = BigInt(`0x${data.slice(0, 64)}`).toString();
+      if (amount === '0') continue;
+
+      transfers.push({
+        token: (log.address || '').toLowerCase(),
+        from: `0x${topics[1].slice(-40)}`.toLowerCase(),
+        to: `0x${topics[2].slice(-40)}`.toLowerCase(),
+        amount,
+      });
+    }
+  }
+  return transfers;
+}
+
+// CW721 actions that move an NFT
+const CW721_ACTIONS = new Set(['transfer_nft', 'send_nft', 'mint', 'burn']);
+
+// Helper: CW721 NFT moves in a message's wasm events. CW20 actions share names
+// (mint, burn) but carry an amount instead of a token_id.
+function getCw721Transfers(events) {
+  const transfers = [];
+  for (const { contract, action, sender, recipient, owner, token_id: tokenId } of getWasmSegments(events)) {
+    if (!CW721_ACTIONS.has(action) || !tokenId) continue;
+    transfers.push({
+      contract: contract.toLowerCase(),
+      action,
+      tokenId,
+      from: action === 'mint' ? null : (sender || null),
+      to: action === 'burn' ? null : (action === 'mint' ? owner : recipient) || null,
+    });
+  }
+  return transfers;
+}
+
+// Helper: An NFT as a single-unit asset named after its collection and token id
+function toNftCoin({ contract, tokenId }) {
+  const symbol = `${contract}#${tokenId}`;
+  return { amount: 1, symbol, denom: symbol, rawAmount: '1', isNft: true };
+}
+
+// Helper: Whether an asset symbol is an NFT (collection#token_id)
+function isNftSymbol(symbol) {
+  return (symbol || '').includes('#');
+}
+
+// Helper: Inner messages of an authz MsgExec (empty for any other message)
+function getExecMessages(msg) {
+  if (!getMessageType(msg).endsWith('.MsgExec')) return [];
+  return getMessageValue(msg).msgs || [];
+}
+
+// Helper: Get human-readable note for a message
+function getMessageNote(msg) {
+  if (!msg) return 'Transaction';
+
+  // Authz: describe the delegated actions, not the wrapper
+  const execMsgs = getExecMessages(msg);
+  if (execMsgs.length > 0) {
+    return `${[...new Set(execMsgs.map(getMessageNote))].join(', ')} (authz)`;
+  }
+
+  const type = getMessageType(msg);
+  const typeShort = type.split('.').pop().replace('Msg', '');
+
+  // For contract executions, extract the action name
+  if (typeShort === 'ExecuteContract' || typeShort === 'ExecuteContractCompat') {
+    try {
+      const value = getMessageValue(msg);
+      const msgData = typeof value.msg === 'string' ? JSON.parse(value.msg) : value.msg;
+      if (msgData) {
+        const action = Object.keys(msgData)[0] || 'execute';
+        return action;
+      }
+    } catch { /* ignore */ }
+    return 'contract';
+  }
+
+  return typeShort || 'Transaction';
+}
+
+// Helper: Get human-readable note for one message of a transaction
+function getTransactionNote(tx, msgIndex = 0) {
+  return getMessageNote(getTxMessages(tx)[msgIndex]);
+}
+
+// Helper: Address that paid the fee - the feegrant granter if one covered it,
+// otherwise the explicit fee payer or the first signer
+function getFeePayer(tx) {
+  const fee = tx.gasFee || tx.gas_fee || tx.fee || tx.tx?.auth_info?.fee || {};
+  return fee.granter || fee.payer || tx.signatures?.[0]?.address || null;
+}
+
+// Classify one message - returns Awaken Tax compatible tag
+function classifyTransaction(msg, txNote, movements) {
+  // Authz: a single delegated message is classified as if the granter sent it
+  // directly. Batches are split per inner message by parseTransaction - one tag
+  // can't describe all of their movements.
+  const execMsgs = getExecMessages(msg);
+  if (execMsgs.length > 0) {
+    return execMsgs.length === 1 ? classifyTransaction(execMsgs[0], getMessageNote(execMsgs[0]), movements) : '';
+  }
+
+  const msgType = getMessageType(msg).split('.').pop();
+  const typeLower = msgType.toLowerCase();
+  const noteLower = txNote.toLowerCase();
+  const hasSpent = movements.spent.length > 0;
+  const hasReceived = movements.received.length > 0;
+
+  // Staking operations
+  if (typeLower.includes('redelegate')) {
+    return ''; // Stake moves between validators, no tokens change hands
+  }
+  if (typeLower.includes('delegate') && !typeLower.includes('undelegate')) {
+    return 'Staking Deposit';
+  }
+  if (typeLower.includes('undelegate')) {
+    return 'Staking Return';
+  }
+  if (typeLower.includes('withdrawdelegatorreward') || typeLower.includes('withdrawvalidatorcommission')) {
+    return 'Staking Claim';
+  }
+
+  // IBC / Bridge
+  if (typeLower.includes('transfer') && typeLower.includes('ibc')) {
+    return hasSpent ? 'Transfer Out' : 'Transfer In';
+  }
+  if (typeLower.includes('sendtoeth') || typeLower.includes('bridge')) {
+    return 'Transfer Out';
+  }
+
+  // Governance
+  if (typeLower.includes('vote') || typeLower.includes('proposal')) {
+    return ''; // Just a fee transaction
+  }
 
+  // Contract execution - try to identify swap/LP actions
+  if (typeLower.includes('executecontract')) {
+    if (noteLower.includes('swap') || noteLower.includes('execute_swap')) {
+      return 'swap';
+    }
+    if (noteLower.includes('provide_liquidity') || noteLower.includes('add_liquidity')) {
+      return 'Add Liquidity';
+    }
+    if (noteLower.includes('withdraw_liquidity') || noteLower.includes('remove_liquidity')) {
+      return 'Remove Liquidity';
+    }
+    if (noteLower.includes('claim') || noteLower.includes('harvest')) {
+      return 'Reward';
+    }
+    if (noteLower.includes('stake') || noteLower.includes('bond')) {
+      return 'Staking Deposit';
+    }
+    if (noteLower.includes('unstake') || noteLower.includes('unbond')) {
+      return 'Staking Return';
+    }
+    // Contract with both in/out is likely a swap
+    if (hasSpent && hasReceived) {
+      return 'swap';
+    }
+  }
+
+  // Simple transfers
+  if (typeLower === 'msgsend' || typeLower.includes('send')) {
+    return hasSpent ? 'Transfer Out' : 'Transfer In';
+  }
+
+  // Exchange operations
+  if (typeLower.includes('spotmarket') || typeLower.includes('spotlimit')) {
+    return 'swap';
+  }
+  if (typeLower.includes('derivative') || typeLower.includes('perpetual')) {
+    // Cancelling an order never closes a position
+    if (typeLower.includes('cancel')) return '';
+    if (typeLower.includes('create')) return 'Open Position';
+    return 'swap';
+  }
+
+  // Auction
+  if (typeLower.includes('bid') || typeLower.includes('auction')) {
+    return 'swap';
+  }
+
+  // If has both in and out, likely a swap
+  if (hasSpent && hasReceived) {
+    return 'swap';
+  }
+
+  // Default based on flow direction
+  if (hasSpent && !hasReceived) return 'Transfer Out';
+  if (hasReceived && !hasSpent) return 'Transfer In';
+
+  return ''; // Unknown - will show as empty tag
+}
+
+// Base row in Awaken Tax format - shared by parsed and synthesized (indexer) rows
+function createBaseRow(date, txHash) {
   // Awaken Tax date format: MM/DD/YYYY HH:MM:SS in UTC
   const dateFormatted = `${String(date.getUTCMonth() + 1).padStart(2, '0')}/${String(date.getUTCDate()).padStart(2, '0')}/${date.getUTCFullYear()} ${String(date.getUTCHours()).padStart(2, '0')}:${String(date.getUTCMinutes()).padStart(2, '0')}:${String(date.getUTCSeconds()).padStart(2, '0')}`;
 
@@ -372,244 +1397,1079 @@ function parseTransaction(tx, walletAddress, includeFailedForGas = false) {
   const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
   const dateDisplay = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
   const timeDisplay = date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
-  const txHash = tx.hash || tx.txHash || tx.id || '';
-
-  // Parse fee
-  const feeData = tx.gasFee?.amount?.[0] || tx.gas_fee?.amount?.[0] || tx.fee?.amount?.[0];
-  const feeRaw = feeData ? parseFloat(feeData.amount) / Math.pow(10, getTokenInfo(feeData.denom).decimals) : 0;
-  const feeAmount = feeRaw > 0 ? feeRaw.toFixed(8).replace(/\.?0+$/, '') : '';
-  const feeCurrency = feeData ? getTokenInfo(feeData.denom).symbol : '';
-
-  // Extract coin movements from events (deduplicated)
-  const movements = extractCoinMovements(tx, walletAddress);
-
-  // Get transaction note from message type/action
-  const txNote = getTransactionNote(tx);
 
-  // Base transaction object for Awaken Tax format
-  const baseTx = {
+  return {
     dateStr,
     dateFormatted,
+    timestamp: date.getTime(),
     dateDisplay,
     timeDisplay,
     txHash,
     feeAmount: '',
     feeCurrency: '',
-    feeRaw,
+    feeRaw: 0,
     // Awaken format: separate sent/received columns (no negative numbers!)
     receivedQty: '',
     receivedCurrency: '',
     receivedFiat: '',
+    receivedDenom: '',
     sentQty: '',
     sentCurrency: '',
     sentFiat: '',
-    notes: txNote,
+    sentDenom: '',
+    notes: '',
     tag: '',
-    isFailed: isFailed,
+    isFailed: false,
     // For UI display (legacy)
     asset: '',
     amount: '',
     pnl: '',
     pnlDisplay: '',
   };
+}
 
-  // For failed transactions, just record the gas fee as a fee
-  if (isFailed) {
-    if (feeRaw > 0) {
-      return [{
-        ...baseTx,
-        sentQty: feeAmount,
-        sentCurrency: feeCurrency || 'INJ',
-        feeAmount,
-        feeCurrency: feeCurrency || 'INJ',
-        tag: 'fee',
-        notes: `Failed: ${txNote}`,
-        // Legacy UI fields
-        asset: feeCurrency || 'INJ',
-        amount: `-${feeAmount}`,
-      }];
-    }
-    return [];
-  }
+// Build Awaken rows for one group of coin movements sharing a tag and note.
+// takeFee() hands out the tx fee columns to the first sent row of the tx.
+function buildMovementRows(base, movements, tag, note, takeFee) {
+  const results = [];
 
-  // Determine transaction type based on message type and token flows
+  // Determine row layout based on token flows
   const hasSpent = movements.spent.length > 0;
   const hasReceived = movements.received.length > 0;
 
-  // Try to classify based on message type
-  const messages = tx.messages || tx.data?.messages || tx.tx?.body?.messages || [];
-  const msgType = messages[0]?.['@type']?.split('.').pop() || messages[0]?.type?.split('.').pop() || '';
-
-  // Classify the transaction - returns Awaken Tax compatible tag
-  const classifyTransaction = () => {
-    const typeLower = msgType.toLowerCase();
-    const noteLower = txNote.toLowerCase();
-
-    // Staking operations
-    if (typeLower.includes('delegate') && !typeLower.includes('undelegate')) {
-      return 'Staking Deposit';
+  // SWAP/TRADE: Both sent and received tokens
+  if (hasSpent && hasReceived) {
+    if (movements.spent.length === 1 && movements.received.length === 1) {
+      // Clean swap: one token for another - single row
+      const sent = movements.spent[0];
+      const recv = movements.received[0];
+      results.push({
+        ...base,
+        sentQty: sent.amount.toFixed(8).replace(/\.?0+$/, ''),
+        sentCurrency: sent.symbol,
+        sentDenom: sent.denom,
+        receivedQty: recv.amount.toFixed(8).replace(/\.?0+$/, ''),
+        receivedCurrency: recv.symbol,
+        receivedDenom: recv.denom,
+        ...takeFee(),
+        tag,
+        notes: note,
+        asset: `${sent.symbol}→${recv.symbol}`,
+        amount: recv.amount.toFixed(6).replace(/\.?0+$/, ''),
+      });
+    } else {
+      // Multiple tokens: create rows for each movement
+      for (const sent of movements.spent) {
+        results.push({
+          ...base,
+          sentQty: sent.amount.toFixed(8).replace(/\.?0+$/, ''),
+          sentCurrency: sent.symbol,
+          sentDenom: sent.denom,
+          ...takeFee(),
+          tag,
+          notes: note,
+          asset: sent.symbol,
+          amount: `-${sent.amount.toFixed(6).replace(/\.?0+$/, '')}`,
+        });
+      }
+      for (const recv of movements.received) {
+        results.push({
+          ...base,
+          receivedQty: recv.amount.toFixed(8).replace(/\.?0+$/, ''),
+          receivedCurrency: recv.symbol,
+          receivedDenom: recv.denom,
+          tag,
+          notes: note,
+          asset: recv.symbol,
+          amount: recv.amount.toFixed(6).replace(/\.?0+$/, ''),
+        });
+      }
     }
-    if (typeLower.includes('undelegate')) {
-      return 'Staking Return';
+  }
+  // SENT ONLY
+  else if (hasSpent && !hasReceived) {
+    for (const sent of movements.spent) {
+      results.push({
+        ...base,
+        sentQty: sent.amount.toFixed(8).replace(/\.?0+$/, ''),
+        sentCurrency: sent.symbol,
+        sentDenom: sent.denom,
+        ...takeFee(),
+        tag,
+        notes: note,
+        asset: sent.symbol,
+        amount: `-${sent.amount.toFixed(6).replace(/\.?0+$/, '')}`,
+      });
     }
-    if (typeLower.includes('withdrawdelegatorreward') || typeLower.includes('withdrawvalidatorcommission')) {
-      return 'Staking Claim';
+  }
+  // RECEIVED ONLY
+  else if (hasReceived && !hasSpent) {
+    for (const recv of movements.received) {
+      results.push({
+        ...base,
+        receivedQty: recv.amount.toFixed(8).replace(/\.?0+$/, ''),
+        receivedCurrency: recv.symbol,
+        receivedDenom: recv.denom,
+        tag,
+        notes: note,
+        asset: recv.symbol,
+        amount: recv.amount.toFixed(6).replace(/\.?0+$/, ''),
+      });
     }
+  }
 
-    // IBC / Bridge
-    if (typeLower.includes('transfer') && typeLower.includes('ibc')) {
-      return hasSpent ? 'Transfer Out' : 'Transfer In';
-    }
-    if (typeLower.includes('sendtoeth') || typeLower.includes('bridge')) {
-      return 'Transfer Out';
-    }
+  return results;
+}
 
-    // Governance
-    if (typeLower.includes('vote') || typeLower.includes('proposal')) {
-      return ''; // Just a fee transaction
-    }
+// Exchange module messages moving funds between the bank balance and trading
+// subaccounts. Moves between the wallet's own balances are not disposals.
+function parseExchangeTransfer(msg, movements, { isOwner }) {
+  const match = getMessageType(msg).match(/^\/injective\.exchange\.v\w+\.Msg(Deposit|Withdraw|SubaccountTransfer|ExternalTransfer)$/);
+  if (!match) return null;
 
-    // Contract execution - try to identify swap/LP actions
-    if (typeLower.includes('executecontract')) {
-      if (noteLower.includes('swap') || noteLower.includes('execute_swap')) {
-        return 'swap';
-      }
-      if (noteLower.includes('provide_liquidity') || noteLower.includes('add_liquidity')) {
-        return 'Add Liquidity';
-      }
-      if (noteLower.includes('withdraw_liquidity') || noteLower.includes('remove_liquidity')) {
-        return 'Remove Liquidity';
-      }
-      if (noteLower.includes('claim') || noteLower.includes('harvest')) {
-        return 'Reward';
+  const value = getMessageValue(msg);
+  // Subaccount-only transfers emit no bank events - take the amount from the message
+  const coin = parseCoin(value.amount);
+  const msgCoins = coin ? [coin] : [];
+  const noMovements = { received: [], spent: [] };
+
+  switch (match[1]) {
+    case 'Deposit': {
+      const spent = movements.spent.length > 0 ? movements.spent : msgCoins;
+      // An empty subaccount_id means the sender's default subaccount
+      if (!value.subaccount_id || isOwner(value.subaccount_id)) {
+        return [{ tag: 'Internal Transfer', note: 'Deposit to trading subaccount', movements: { received: [], spent } }];
       }
-      if (noteLower.includes('stake') || noteLower.includes('bond')) {
-        return 'Staking Deposit';
+      return [{ tag: 'Transfer Out', note: `Deposit to subaccount ${value.subaccount_id}`, movements: { received: [], spent } }];
+    }
+    case 'Withdraw': {
+      const received = movements.received.length > 0 ? movements.received : msgCoins;
+      return [{ tag: 'Internal Transfer', note: 'Withdraw from trading subaccount', movements: { received, spent: [] } }];
+    }
+    case 'SubaccountTransfer':
+      return [{ tag: 'Internal Transfer', note: 'Transfer between trading subaccounts', movements: noMovements }];
+    default: {
+      // MsgExternalTransfer: only a real transfer when the other side is someone else's subaccount
+      const fromOwn = isOwner(value.source_subaccount_id);
+      const toOwn = isOwner(value.destination_subaccount_id);
+      if (fromOwn && toOwn) {
+        return [{ tag: 'Internal Transfer', note: 'Transfer between trading subaccounts', movements: noMovements }];
       }
-      if (noteLower.includes('unstake') || noteLower.includes('unbond')) {
-        return 'Staking Return';
+      if (fromOwn) {
+        return [{ tag: 'Transfer Out', note: `Transfer to subaccount ${value.destination_subaccount_id}`, movements: { received: [], spent: msgCoins } }];
       }
-      // Contract with both in/out is likely a swap
-      if (hasSpent && hasReceived) {
-        return 'swap';
+      if (toOwn) {
+        return [{ tag: 'Transfer In', note: `Transfer from subaccount ${value.source_subaccount_id}`, movements: { received: msgCoins, spent: [] } }];
       }
+      return [{ tag: '', note: 'ExternalTransfer', movements: noMovements }];
     }
+  }
+}
+
+// Spot order placement and cancellation. Limit orders usually fill in a later
+// block, so the trades themselves come from the indexer fill history instead
+// (see spotFillToRow) and these rows are dropped once fills are loaded.
+function parseSpotOrder(msg, movements) {
+  const match = getMessageType(msg).match(/^\/injective\.exchange\.v\w+\.Msg(CreateSpotLimitOrder|CreateSpotMarketOrder|BatchCreateSpotLimitOrders|CancelSpotOrder|BatchCancelSpotOrders)$/);
+  if (!match) return null;
 
-    // Simple transfers
-    if (typeLower === 'msgsend' || typeLower.includes('send')) {
-      return hasSpent ? 'Transfer Out' : 'Transfer In';
+  const note = getMessageNote(msg);
+  if (match[1].includes('Cancel')) {
+    return [{ tag: '', note, movements }];
+  }
+  return [{ tag: 'swap', note, movements, fields: { orderSource: 'spot' } }];
+}
+
+// MsgBatchUpdateOrders creates and cancels spot, derivative and binary options
+// orders in one message. Each market type with created orders becomes its own order
+// row group, replaced by that type's fill history like the single-order messages
+// above and below; a batch that only cancels is a cancellation.
+function parseBatchUpdateOrders(msg, movements) {
+  if (!/^\/injective\.exchange\.v\w+\.MsgBatchUpdateOrders$/.test(getMessageType(msg))) return null;
+
+  const value = getMessageValue(msg);
+  const count = (list) => (Array.isArray(list) ? list.length : 0);
+  const spotOrders = count(value.spot_orders_to_create);
+  const derivativeOrders = count(value.derivative_orders_to_create) + count(value.binary_options_orders_to_create);
+  if (spotOrders === 0 && derivativeOrders === 0) {
+    return [{ tag: '', note: 'Cancel orders (batch)', movements }];
+  }
+
+  // Placing orders rarely moves coins - if a mixed batch did, they can't be told apart
+  const mixed = spotOrders > 0 && derivativeOrders > 0;
+  const orderMovements = mixed ? { received: [], spent: [] } : movements;
+  const groups = [];
+  if (spotOrders > 0) {
+    groups.push({ tag: 'swap', note: `Place ${spotOrders} spot order${spotOrders === 1 ? '' : 's'} (batch)`, movements: orderMovements, fields: { orderSource: 'spot' } });
+  }
+  if (derivativeOrders > 0) {
+    groups.push({ tag: 'Open Position', note: `Place ${derivativeOrders} derivative order${derivativeOrders === 1 ? '' : 's'} (batch)`, movements: orderMovements, fields: { orderSource: 'derivative' } });
+  }
+  if (mixed && (movements.spent.length > 0 || movements.received.length > 0)) {
+    groups.push({ tag: '', note: 'Batch order update - could not attribute these amounts to spot or derivative orders', movements });
+  }
+  return groups;
+}
+
+// Derivative orders and position margin. Fills, liquidations and funding come
+// from the indexer (see buildPerpetualRows) and are exported in a separate
+// perpetuals CSV, so order rows are dropped once that history is loaded.
+function parseDerivativeOrder(msg, movements) {
+  const match = getMessageType(msg).match(/^\/injective\.exchange\.v\w+\.Msg(CreateDerivativeLimitOrder|CreateDerivativeMarketOrder|BatchCreateDerivativeLimitOrders|CancelDerivativeOrder|BatchCancelDerivativeOrders|IncreasePositionMargin|DecreasePositionMargin)$/);
+  if (!match) return null;
+
+  const note = getMessageNote(msg);
+  // Cancelling an order doesn't touch any position
+  if (match[1].includes('Cancel')) {
+    return [{ tag: '', note, movements }];
+  }
+  // Margin moves between a subaccount and its own position
+  if (match[1].includes('PositionMargin')) {
+    return [{ tag: 'Internal Transfer', note, movements: { received: [], spent: [] } }];
+  }
+  return [{ tag: 'Open Position', note, movements, fields: { orderSource: 'derivative' } }];
+}
+
+// Helper: First value of an event attribute across a message's events. Typed
+// (protobuf) events JSON-encode their values, so surrounding quotes are stripped.
+function findEventAttribute(events, key) {
+  for (const event of events) {
+    const value = event.attributes?.find(a => a.key === key)?.value;
+    if (value !== undefined) return value.replace(/^"|"$/g, '');
+  }
+  return undefined;
+}
+
+// Peggy bridge (Ethereum <-> Injective). Deposits arrive through validator-submitted
+// MsgDepositClaim txs, so they only show up for the receiving wallet as claims.
+function parsePeggy(msg, movements, { events, isOwner }) {
+  const type = getMessageType(msg);
+  const value = getMessageValue(msg);
+
+  if (type.endsWith('peggy.v1.MsgSendToEth')) {
+    // Withdrawal: split the bridged amount from the bridge fee paid to relayers
+    const peggyTxId = findEventAttribute(events, 'outgoing_tx_id');
+    const amount = parseCoin(value.amount);
+    const bridgeFee = parseCoin(value.bridge_fee);
+    const groups = [{
+      tag: 'Transfer Out',
+      note: `Bridge to Ethereum ${value.eth_dest || ''}`.trim(),
+      movements: { received: [], spent: amount ? [amount] : movements.spent },
+      fields: { peggyTxId },
+    }];
+    if (amount && bridgeFee?.amount > 0) {
+      groups.push({
+        tag: 'fee',
+        note: 'Peggy bridge fee',
+        movements: { received: [], spent: [bridgeFee] },
+        fields: { peggyTxId },
+      });
     }
+    return groups;
+  }
 
-    // Exchange operations
-    if (typeLower.includes('spotmarket') || typeLower.includes('spotlimit')) {
-      return 'swap';
+  if (type.endsWith('peggy.v1.MsgCancelSendToEth')) {
+    // Amount and bridge fee come back - returned funds, not income
+    return [{
+      tag: 'Bridge Refund',
+      note: `Cancelled bridge transfer #${value.transaction_id} - funds returned`,
+      movements,
+      fields: { peggyTxId: String(value.transaction_id ?? '') },
+    }];
+  }
+
+  if (type.endsWith('peggy.v1.MsgDepositClaim')) {
+    const receiver = value.cosmos_receiver || findEventAttribute(events, 'cosmos_receiver');
+    if (!isOwner(receiver)) return null;
+    // Every validator submits a claim; only the one completing the attestation mints the tokens
+    if (movements.received.length === 0) return [];
+    return [{
+      tag: 'Transfer In',
+      note: `Bridge from Ethereum ${value.ethereum_sender || ''}`.trim(),
+      movements: { received: movements.received, spent: [] },
+    }];
+  }
+
+  return null;
+}
+
+// Helper: Key identifying an IBC packet on this chain (source channel + sequence)
+function getIbcPacketKey(channel, sequence) {
+  return channel && sequence ? `${channel}/${sequence}` : undefined;
+}
+
+// Helper: Key of the packet an IBC relayer message (ack/timeout) refers to
+function getRelayedPacketKey(value, events) {
+  const packet = value.packet || {};
+  return getIbcPacketKey(
+    packet.source_channel || findEventAttribute(events, 'packet_src_channel'),
+    packet.sequence || findEventAttribute(events, 'packet_sequence')
+  );
+}
+
+// Helper: Whether an acknowledgement message carries an error acknowledgement
+function isIbcErrorAcknowledgement(value, events) {
+  const packetEvents = events.filter(e => e.type === 'fungible_token_packet');
+  if (findEventAttribute(packetEvents, 'error') !== undefined) return true;
+  try {
+    const ack = JSON.parse(atob(value.acknowledgement || ''));
+    return Boolean(ack.error);
+  } catch {
+    return false;
+  }
+}
+
+// IBC transfers. The outgoing MsgTransfer only sends a packet - a relayer later
+// acknowledges it, or times it out and the tokens come back in the relayer's tx.
+// Rows carry the packet key so matchIbcTransfers can pair them up.
+function parseIbcTransfer(msg, movements, { events }) {
+  const type = getMessageType(msg);
+  const value = getMessageValue(msg);
+
+  if (type.endsWith('applications.transfer.v1.MsgTransfer')) {
+    const sendPacket = events.filter(e => e.type === 'send_packet');
+    const ibcPacket = getIbcPacketKey(
+      findEventAttribute(sendPacket, 'packet_src_channel') || value.source_channel,
+      findEventAttribute(sendPacket, 'packet_sequence')
+    );
+    const token = parseCoin(value.token);
+    return [{
+      tag: 'Transfer Out',
+      note: `IBC transfer to ${value.receiver || value.source_channel || 'another chain'}`,
+      movements: { received: [], spent: movements.spent.length > 0 ? movements.spent : (token ? [token] : []) },
+      fields: { ibcPacket },
+    }];
+  }
+
+  const isTimeout = type.endsWith('channel.v1.MsgTimeout') || type.endsWith('channel.v1.MsgTimeoutOnClose');
+  const isAck = type.endsWith('channel.v1.MsgAcknowledgement');
+  if (!isTimeout && !isAck) return null;
+
+  // Relayer tx - only relevant when it returns tokens to the wallet
+  if (movements.received.length === 0 || (isAck && !isIbcErrorAcknowledgement(value, events))) return [];
+  return [{
+    tag: 'Transfer In',
+    note: isTimeout ? 'IBC transfer timed out - refund' : 'IBC transfer failed - refund',
+    movements: { received: movements.received, spent: [] },
+    fields: { ibcPacket: getRelayedPacketKey(value, events), ibcRefund: true },
+  }];
+}
+
+
+// Helper: Staking rewards paid out by a message (distribution withdraw_rewards events)
+function getWithdrawnRewards(events, isOwner, validator = null) {
+  const rewards = {};
+  for (const event of events) {
+    if (event.type !== 'withdraw_rewards') continue;
+    const delegator = event.attributes?.find(a => a.key === 'delegator')?.value;
+    if (delegator && !isOwner(delegator)) continue;
+    if (validator && event.attributes?.find(a => a.key === 'validator')?.value !== validator) continue;
+    const amount = event.attributes?.find(a => a.key === 'amount')?.value || '';
+    for (const c of amount.split(',')) {
+      const parsed = parseCoinFromString(c.trim());
+      if (!parsed) continue;
+      if (rewards[parsed.denom]) {
+        rewards[parsed.denom].amount += parsed.amount;
+      } else {
+        rewards[parsed.denom] = { ...parsed };
+      }
     }
-    if (typeLower.includes('derivative') || typeLower.includes('perpetual')) {
-      if (typeLower.includes('create')) return 'Open Position';
-      if (typeLower.includes('cancel')) return 'Close Position';
-      return 'swap';
+  }
+  return Object.values(rewards);
+}
+
+// Tag of the principal movement for each staking message (null = no tokens move)
+const STAKING_MESSAGE_TAGS = {
+  MsgDelegate: 'Staking Deposit',
+  MsgUndelegate: 'Staking Return',
+  MsgBeginRedelegate: null,
+  MsgCancelUnbondingDelegation: null,
+};
+
+// Staking. Any change to a delegation pays out its pending rewards in the same tx,
+// so the reward part of coin_received is split into its own Staking Claim row.
+function parseStaking(msg, movements, { events, isOwner }) {
+  const type = getMessageType(msg);
+  const msgType = type.split('.').pop();
+  if (!type.includes('.staking.') || !(msgType in STAKING_MESSAGE_TAGS)) return null;
+
+  // Rewards may go to a separate withdraw address - only count what the wallet received
+  const claimed = [];
+  const principalReceived = movements.received.map(c => ({ ...c }));
+  for (const reward of getWithdrawnRewards(events, isOwner)) {
+    const coin = principalReceived.find(c => c.denom === reward.denom);
+    if (!coin) continue;
+    const amount = Math.min(reward.amount, coin.amount);
+    claimed.push({ ...coin, amount });
+    coin.amount -= amount;
+  }
+
+  const groups = [];
+  const principal = {
+    received: principalReceived.filter(c => c.amount > 1e-12),
+    spent: movements.spent,
+  };
+  const tag = STAKING_MESSAGE_TAGS[msgType];
+  if (tag && (principal.received.length > 0 || principal.spent.length > 0)) {
+    groups.push({ tag, note: getMessageNote(msg), movements: principal });
+  }
+  if (claimed.length > 0) {
+    groups.push({
+      tag: 'Staking Claim',
+      note: `Staking rewards (auto-withdrawn on ${msgType.replace('Msg', '')})`,
+      movements: { received: claimed, spent: [] },
+    });
+  }
+  return groups;
+}
+
+// Governance. Deposits sit in escrow with the gov module until the proposal ends -
+// refunds and burns happen in the EndBlocker and are resolved via GOVERNANCE_API.
+function parseGovernance(msg, movements, { events }) {
+  const match = getMessageType(msg).match(/^\/cosmos\.gov\.v1(?:beta1)?\.Msg(SubmitProposal|Deposit)$/);
+  if (!match) return null;
+
+  const value = getMessageValue(msg);
+  const govProposalId = String(value.proposal_id || findEventAttribute(events, 'proposal_id') || '');
+  const msgCoins = (match[1] === 'Deposit' ? value.amount : value.initial_deposit) || [];
+  const spent = movements.spent.length > 0 ? movements.spent : msgCoins.map(parseCoin).filter(Boolean);
+  // Proposals submitted without a deposit only cost the tx fee
+  if (spent.length === 0) return [];
+
+  return [{
+    tag: 'Governance Deposit',
+    note: govProposalId ? `Deposit on proposal #${govProposalId}` : 'Governance deposit',
+    movements: { received: [], spent },
+    fields: { govProposalId },
+  }];
+}
+
+// Burn auction. A bid is escrowed until the round ends - the previous highest bidder
+// is refunded inside the tx of whoever outbids them. Won rounds settle in the
+// EndBlocker and are turned into trades by settleAuctionRounds.
+function parseAuction(msg, movements, { events, isOwner }) {
+  if (!getMessageType(msg).endsWith('auction.v1beta1.MsgBid')) return null;
+
+  const value = getMessageValue(msg);
+  const auctionRound = String(value.round ?? findEventAttribute(events, 'round') ?? '');
+  const groups = [];
+
+  if (isOwner(value.sender)) {
+    const bid = parseCoin(value.bid_amount);
+    groups.push({
+      tag: 'Auction Bid',
+      note: `Burn auction bid (round #${auctionRound})`,
+      movements: { received: [], spent: movements.spent.length > 0 ? movements.spent : (bid ? [bid] : []) },
+      fields: { auctionRound },
+    });
+  }
+  if (movements.received.length > 0) {
+    groups.push({
+      tag: 'Auction Refund',
+      note: `Outbid in burn auction round #${auctionRound} - bid refunded`,
+      movements: { received: movements.received, spent: [] },
+      fields: { auctionRound },
+    });
+  }
+  return groups;
+}
+
+// Insurance funds. Underwriting swaps quote tokens for the fund's pool shares; a
+// redemption request escrows the shares until the notice period ends, when the
+// EndBlocker burns them and pays out (see buildInsuranceRedemptionRows).
+function parseInsurance(msg, movements) {
+  const match = getMessageType(msg).match(/^\/injective\.insurance\.v1beta1\.Msg(CreateInsuranceFund|Underwrite|RequestRedemption)$/);
+  if (!match) return null;
+
+  const value = getMessageValue(msg);
+  if (match[1] === 'RequestRedemption') {
+    const shares = parseCoin(value.amount);
+    return [{
+      tag: 'Redemption Request',
+      note: 'Insurance fund redemption requested',
+      movements: { received: [], spent: movements.spent.length > 0 ? movements.spent : (shares ? [shares] : []) },
+    }];
+  }
+
+  const deposit = parseCoin(match[1] === 'Underwrite' ? value.deposit : value.initial_deposit);
+  return [{
+    tag: 'Add Liquidity',
+    note: match[1] === 'Underwrite' ? 'Underwrite insurance fund' : `Create insurance fund ${value.ticker || ''}`.trim(),
+    movements: { received: movements.received, spent: movements.spent.length > 0 ? movements.spent : (deposit ? [deposit] : []) },
+  }];
+}
+
+// Token factory (creator side). Creating a denom burns a fee; minting supply is a
+// zero-cost acquisition and burning supply a disposal without proceeds.
+function parseTokenFactory(msg, movements, { events }) {
+  const match = getMessageType(msg).match(/^\/injective\.tokenfactory\.v1beta1\.Msg(CreateDenom|Mint|Burn|ChangeAdmin|SetDenomMetadata)$/);
+  if (!match) return null;
+
+  const value = getMessageValue(msg);
+  switch (match[1]) {
+    case 'CreateDenom': {
+      if (movements.spent.length === 0) return [];
+      const denom = findEventAttribute(events.filter(e => e.type.endsWith('EventCreateTFDenom')), 'denom')
+        || `factory/${value.sender}/${value.subdenom}`;
+      return [{ tag: 'fee', note: `Token factory denom creation fee (${denom})`, movements: { received: [], spent: movements.spent } }];
     }
+    case 'Mint':
+      if (movements.received.length === 0) return [];
+      return [{ tag: 'Mint', note: 'Token factory mint', movements: { received: movements.received, spent: [] } }];
+    case 'Burn':
+      if (movements.spent.length === 0) return [];
+      return [{ tag: 'Burn', note: 'Token factory burn', movements: { received: [], spent: movements.spent } }];
+    default:
+      // Admin and metadata changes move no tokens - only the tx fee is recorded
+      return [];
+  }
+}
 
-    // Auction
-    if (typeLower.includes('bid') || typeLower.includes('auction')) {
-      return 'swap';
+// ----------------------------------------------------------------------------
+// Wasm DEX routers
+// ----------------------------------------------------------------------------
+
+// Helper: Decode a contract execution into { contract, action, body, viaToken }.
+// A CW20 `send` carries the real call as a base64 hook message for the recipient
+// contract - it is unwrapped so the call is attributed to that contract.
+function decodeContractCall(msg) {
+  if (!/\.MsgExecuteContract(Compat)?$/.test(getMessageType(msg))) return null;
+
+  const value = getMessageValue(msg);
+  let body;
+  try {
+    body = typeof value.msg === 'string' ? JSON.parse(value.msg) : value.msg;
+  } catch {
+    return null;
+  }
+  const action = body && Object.keys(body)[0];
+  if (!action) return null;
+
+  const send = body.send;
+  if (action === 'send' && send?.contract && send.msg) {
+    try {
+      const hook = JSON.parse(atob(send.msg));
+      const hookAction = Object.keys(hook)[0];
+      if (hookAction) {
+        return { contract: send.contract.toLowerCase(), action: hookAction, body: hook[hookAction] || {}, viaToken: value.contract };
+      }
+    } catch { /* not a JSON hook - treat as a plain CW20 send */ }
+  }
+
+  return { contract: (value.contract || '').toLowerCase(), action, body: body[action] || {}, viaToken: null };
+}
+
+// Helper: Denom of a Terraswap-style asset info ({ native_token: { denom } } or { token: { contract_addr } })
+function getAssetInfoDenom(info) {
+  return info?.native_token?.denom || info?.token?.contract_addr || '';
+}
+
+// Helper: Describe a swap route as "A → B → C" using token symbols
+function describeRoute(denoms) {
+  return denoms.filter(Boolean).map(d => getTokenInfo(d).symbol).join(' → ');
+}
+
+// Actions shared by Terraswap-derived routers, pairs and LP staking contracts
+const TERRASWAP_ACTION_TAGS = {
+  swap: 'swap',
+  execute_swap_operations: 'swap',
+  provide_liquidity: 'Add Liquidity',
+  withdraw_liquidity: 'Remove Liquidity',
+  bond: 'Staking Deposit',
+  stake: 'Staking Deposit',
+  unbond: 'Staking Return',
+  unstake: 'Staking Return',
+};
+
+// Actions of LP staking (generator / farm) contracts. `withdraw` there returns the
+// staked LP tokens - only the claim actions pay out rewards.
+const LP_STAKING_ACTION_TAGS = {
+  deposit: 'Staking Deposit',
+  withdraw: 'Staking Return',
+  claim_rewards: 'Reward',
+  claim_reward: 'Reward',
+  claim: 'Reward',
+  withdraw_rewards: 'Reward',
+};
+
+// Decoder for Terraswap-derived protocols. Router routes are a list of operations
+// keyed by the protocol's swap type ({ astro_swap: { offer_asset_info, ask_asset_info } }).
+function decodeTerraswapCall(call, { staking }) {
+  const tag = (staking && LP_STAKING_ACTION_TAGS[call.action]) || TERRASWAP_ACTION_TAGS[call.action];
+  if (!tag) return null;
+
+  if (call.action === 'execute_swap_operations') {
+    const operations = (call.body.operations || []).map(op => Object.values(op)[0] || {});
+    const route = describeRoute([
+      getAssetInfoDenom(operations[0]?.offer_asset_info) || operations[0]?.offer_denom,
+      ...operations.map(op => getAssetInfoDenom(op.ask_asset_info) || op.ask_denom),
+    ]);
+    const hops = operations.length;
+    return { tag, label: `swap (${hops}-hop route${route ? `: ${route}` : ''})` };
+  }
+
+  return { tag, label: call.action.replace(/_/g, ' ') };
+}
+
+// Decoder for the Helix swap router - routes are configured on the contract, the
+// message only names the target (and the source denom comes from the funds sent)
+function decodeHelixSwapCall(call) {
+  if (call.action !== 'swap_min_output' && call.action !== 'swap_exact_output') return null;
+  const target = call.body.target_denom;
+  return { tag: 'swap', label: `swap${target ? ` to ${getTokenInfo(target).symbol}` : ''}` };
+}
+
+// Known wasm DEX protocols. A call belongs to a protocol when it targets one of its
+// listed contracts, a contract instantiated by one of its factories (every pair and
+// its LP token), a contract whose on-chain label names the protocol, or its router
+// operations use the protocol's swap type. `stakingLabel` picks out LP staking
+// contracts among the protocol's contracts.
+const DEX_PROTOCOLS = [
+  {
+    name: 'Helix',
+    contracts: ['inj1psk3468yr9teahgz73amwvpfjehnhczvkrhhqx'], // Swap router
+    factories: [],
+    label: /helix.*(swap|router)/i,
+    decode: decodeHelixSwapCall,
+  },
+  {
+    name: 'DojoSwap',
+    contracts: ['inj1t6g03pmc0qcgr7z44qjzaen804f924xke6menl'], // Router
+    factories: ['inj1pc2vxcmnyzawnwkf03n2ggvt997avtuwagqngk'],
+    label: /dojo/i,
+    stakingLabel: /staking|farm/i,
+    operationKey: 'dojo_swap',
+    decode: decodeTerraswapCall,
+  },
+  {
+    name: 'Astroport',
+    contracts: [],
+    factories: ['inj19aenkaj6qhymmt746av8ck4r8euthq3zmxr2r6'],
+    label: /astroport/i,
+    stakingLabel: /generator|incentives|staking/i,
+    operationKey: 'astro_swap',
+    decode: decodeTerraswapCall,
+  },
+  {
+    name: 'Choice',
+    contracts: [],
+    factories: [],
+    label: /choice/i,
+    stakingLabel: /farm|staking/i,
+    operationKey: 'choice_swap',
+    decode: decodeTerraswapCall, // Choice pools and farms implement the Terraswap interface
+  },
+];
+
+// Helper: Protocol a decoded contract call belongs to (or undefined)
+function findDexProtocol(call) {
+  const info = contractInfo.contracts[call.contract];
+  const operationKeys = (call.body.operations || []).flatMap(op => Object.keys(op));
+  return DEX_PROTOCOLS.find(p =>
+    p.contracts.includes(call.contract) ||
+    (info && (p.factories.includes(info.creator) || p.label.test(info.label))) ||
+    (p.operationKey && operationKeys.includes(p.operationKey))
+  );
+}
+
+// Helper: Whether a call targets an LP staking contract of its protocol
+function isLpStakingCall(protocol, call) {
+  const info = contractInfo.contracts[call.contract];
+  return Boolean(protocol.stakingLabel && info && protocol.stakingLabel.test(info.label));
+}
+
+// INJ liquid staking protocols. A call is a mint, redemption or unstake request
+// only when it targets the protocol's hub: a listed contract, the minter of its
+// CW20 token, the creator of its tokenfactory denom or a contract labelled as it.
+// stINJ is minted on Stride, so it reaches Injective as an IBC transfer and has
+// no hub here - a contract call that pays out stINJ is a plain swap.
+const LSD_PROTOCOLS = [
+  { symbol: 'hINJ', contracts: [], tokens: ['inj18luqttqyckgpddndh8hvaq25d5nfwjc78m56lc'], label: /hydro|hinj/i },
+  { symbol: 'dINJ', contracts: [], tokens: [], label: /dinj/i },
+  { symbol: 'stINJ', contracts: [], tokens: [], label: null },
+];
+
+// CW20 LSD tokens whose minter (the hub) is looked up with the contract info
+const LSD_TOKENS = LSD_PROTOCOLS.flatMap(p => p.tokens);
+
+// Helper: Whether a contract is the hub of an LSD protocol
+function isLsdHub(protocol, contract) {
+  const info = contractInfo.contracts[contract];
+  return protocol.contracts.includes(contract) ||
+    protocol.tokens.some(token => contractInfo.minters[token] === contract) ||
+    Boolean(protocol.label && info && protocol.label.test(info.label));
+}
+
+// Helper: LSD protocol of a coin whose hub is the called contract (or undefined)
+function findLsdProtocol(coin, contract) {
+  if (!coin) return undefined;
+  const protocol = LSD_PROTOCOLS.find(p =>
+    p.tokens.includes(coin.denom) || p.symbol.toUpperCase() === (coin.symbol || '').toUpperCase()
+  );
+  if (!protocol) return undefined;
+  // Tokenfactory LSDs are created by their hub (factory/<hub>/<subdenom>)
+  const isCreator = (coin.denom || '').startsWith(`factory/${contract}/`);
+  return isCreator || isLsdHub(protocol, contract) ? protocol : undefined;
+}
+
+// Liquid staking protocols. Minting and instant redemption are tagged swaps with an
+// lsdAction so applyLsdTreatment can turn them into wraps; an unstake request escrows
+// the LSD until a later claim pays out INJ (linked by linkLsdClaims).
+function parseLiquidStaking(msg, movements) {
+  const call = decodeContractCall(msg);
+  // Buying or selling an LSD on a DEX is a plain swap
+  if (!call || findDexProtocol(call)) return null;
+
+  const lsdIn = movements.received.find(c => findLsdProtocol(c, call.contract));
+  const lsdOut = movements.spent.find(c => findLsdProtocol(c, call.contract));
+  const injIn = movements.received.find(c => c.symbol === 'INJ');
+  const injOut = movements.spent.find(c => c.symbol === 'INJ');
+  const onlyMovement = movements.received.length + movements.spent.length === 1;
+
+  if (lsdIn && injOut && movements.received.length === 1 && movements.spent.length === 1) {
+    return [{ tag: 'swap', note: `Liquid stake INJ for ${lsdIn.symbol}`, movements, fields: { lsdAction: 'mint' } }];
+  }
+  if (lsdOut && injIn && movements.received.length === 1 && movements.spent.length === 1) {
+    return [{ tag: 'swap', note: `Instant redeem ${lsdOut.symbol}`, movements, fields: { lsdAction: 'redeem' } }];
+  }
+  if (lsdOut && onlyMovement) {
+    return [{
+      tag: 'LSD Unstake',
+      note: `Unstake ${lsdOut.symbol} (unbonding)`,
+      movements,
+      fields: { lsdAction: 'unstake', lsdContract: call.contract },
+    }];
+  }
+  const isHub = LSD_PROTOCOLS.some(p => isLsdHub(p, call.contract));
+  if (injIn && onlyMovement && isHub && /claim|withdraw/.test(call.action)) {
+    // Possibly the payout of an earlier unstake request - keep the heuristic tag until linked
+    const note = getMessageNote(msg);
+    return [{ tag: classifyTransaction(msg, note, movements), note, movements, fields: { lsdClaimContract: call.contract } }];
+  }
+  return null;
+}
+
+// CW721 NFTs. Buying, selling or minting against a payment is a trade of the NFT
+// for the payment leg. Escrow marketplaces take the NFT at listing (send_nft) and pay
+// the seller inside the buyer's tx - linkNftSales pairs those up afterwards.
+function parseNft(msg, movements, { events, isOwner }) {
+  const nftSpent = movements.spent.filter(c => c.isNft);
+  const nftReceived = movements.received.filter(c => c.isNft);
+  const otherSpent = movements.spent.filter(c => !c.isNft);
+  const otherReceived = movements.received.filter(c => !c.isNft);
+  const transfers = getCw721Transfers(events);
+
+  if (nftSpent.length === 0 && nftReceived.length === 0) {
+    // Payment for NFTs that moved between other parties - maybe a sale of an escrowed listing
+    const moved = transfers.filter(t => !isOwner(t.from) && !isOwner(t.to)).map(t => toNftCoin(t).symbol);
+    if (moved.length === 0 || otherReceived.length === 0 || otherSpent.length > 0) return null;
+    const note = getMessageNote(msg);
+    return [{ tag: classifyTransaction(msg, note, movements), note, movements, fields: { nftSaleCandidates: moved } }];
+  }
+
+  const minted = transfers.some(t => t.action === 'mint' && isOwner(t.to));
+  if (nftReceived.length > 0 && otherSpent.length > 0 && nftSpent.length === 0) {
+    return [{ tag: 'swap', note: minted ? 'NFT mint' : 'NFT purchase', movements }];
+  }
+  if (nftSpent.length > 0 && otherReceived.length > 0 && nftReceived.length === 0) {
+    return [{ tag: 'swap', note: 'NFT sale', movements }];
+  }
+  if (nftReceived.length > 0 && movements.spent.length === 0) {
+    if (minted) return [{ tag: 'Mint', note: 'NFT mint', movements }];
+    // Possibly a listing coming back from a marketplace
+    return [{ tag: 'Transfer In', note: 'NFT received', movements, fields: { nftReturns: nftReceived.map(c => c.symbol) } }];
+  }
+  if (nftSpent.length > 0 && movements.received.length === 0) {
+    const escrowed = transfers.filter(t => t.action === 'send_nft' && isOwner(t.from));
+    if (escrowed.length > 0) {
+      return [{ tag: 'NFT Listing', note: `NFT listed on ${escrowed[0].to}`, movements, fields: { nftEscrow: nftSpent.map(c => c.symbol) } }];
     }
+    const burned = transfers.some(t => t.action === 'burn' && isOwner(t.from));
+    return [{ tag: burned ? 'Burn' : 'Transfer Out', note: burned ? 'NFT burned' : 'NFT sent', movements }];
+  }
+  return null;
+}
 
-    // If has both in and out, likely a swap
-    if (hasSpent && hasReceived) {
-      return 'swap';
+// Swaps, liquidity and LP staking on known wasm DEXs - anything else falls through
+// to the note-based heuristics in classifyTransaction
+function parseDexContract(msg, movements) {
+  const call = decodeContractCall(msg);
+  if (!call) return null;
+  const protocol = findDexProtocol(call);
+  const decoded = protocol?.decode(call, { staking: isLpStakingCall(protocol, call) });
+  if (!decoded) return null;
+
+  return [{ tag: decoded.tag, note: `${protocol.name} ${decoded.label}`, movements }];
+}
+
+// Function selectors of common EVM calls, for notes
+const EVM_METHOD_NAMES = {
+  'a9059cbb': 'transfer',
+  '23b872dd': 'transferFrom',
+  '095ea7b3': 'approve',
+  'd0e30db0': 'deposit',
+  '2e1a7d4d': 'withdraw',
+  '38ed1739': 'swapExactTokensForTokens',
+  '7ff36ab5': 'swapExactETHForTokens',
+  '18cbafe5': 'swapExactTokensForETH',
+  '8803dbee': 'swapTokensForExactTokens',
+  '414bf389': 'exactInputSingle',
+  '04e45aaf': 'exactInputSingle',
+  'c04b8d59': 'exactInput',
+  'b858183f': 'exactInput',
+  'ac9650d8': 'multicall',
+  '5ae401dc': 'multicall',
+  '3593564c': 'execute',
+};
+
+// Injective EVM (MsgEthereumTx). Native INJ moves through bank events and ERC-20s
+// through their Transfer logs (see extractCoinMovements) - this names the call and
+// drops reverted ones, which still succeed at the Cosmos level.
+function parseEvmTx(msg, movements, { events }) {
+  if (!/\.MsgEthereumTx$/.test(getMessageType(msg))) return null;
+  if (findEventAttribute(events.filter(e => e.type === 'ethereum_tx'), 'ethereumTxFailed')) return [];
+
+  const tx = getMessageValue(msg).data || {};
+  const method = EVM_METHOD_NAMES[evmBytesToHex(tx.data || tx.input).slice(0, 8)];
+  const note = `EVM ${method || (tx.to ? 'call' : 'contract deployment')}${tx.to ? ` to ${tx.to}` : ''}`;
+
+  const hasSpent = movements.spent.length > 0;
+  const hasReceived = movements.received.length > 0;
+  // Approvals and other calls without token movements only cost gas
+  if (!hasSpent && !hasReceived) return [];
+  const tag = hasSpent && hasReceived ? 'swap' : (hasSpent ? 'Transfer Out' : 'Transfer In');
+  return [{ tag, note, movements }];
+}
+
+// Module-specific handlers that understand a message better than the generic
+// heuristics in classifyTransaction. Each returns row groups
+// ([{ tag, note, movements, fields? }]) or null when the message isn't theirs.
+const MESSAGE_HANDLERS = [
+  parseExchangeTransfer,
+  parseSpotOrder,
+  parseBatchUpdateOrders,
+  parseDerivativeOrder,
+  parsePeggy,
+  parseIbcTransfer,
+  parseStaking,
+  parseGovernance,
+  parseAuction,
+  parseInsurance,
+  parseTokenFactory,
+  parseLiquidStaking,
+  parseNft,
+  parseDexContract,
+  parseEvmTx,
+];
+
+// Split one message into tagged row groups. User rules come first - a rule that
+// sets a tag replaces the handlers, one that only sets a note relabels their rows,
+// and ignored messages produce no rows (their gas fee is still recorded).
+function getMessageRowGroups(msg, note, movements, context) {
+  const rule = findClassificationRule(context.rules, msg, movements, context.isOwner);
+  if (rule?.ignore) return [];
+  const ruleFields = rule ? { ruleId: rule.id } : {};
+  if (rule?.tag) {
+    return [{ tag: rule.tag, note: rule.note || note, movements, fields: ruleFields }];
+  }
+
+  const withRule = (g) => ({ ...g, note: rule?.note || g.note, fields: { ...g.fields, ...ruleFields } });
+  for (const handler of MESSAGE_HANDLERS) {
+    const groups = handler(msg, movements, context);
+    if (groups) {
+      return groups.map(g => withRule({ ...g, note: context.isAuthz ? `${g.note} (authz)` : g.note }));
+    }
+  }
+  return [withRule({ tag: classifyTransaction(msg, note, movements), note, movements })];
+}
+
+// Helper: Coins an authz inner message moves by its own body - { spent, received, open }.
+// `open` messages (contract calls, unknown types) may move more than they declare.
+function getDeclaredCoins(msg, events, isOwner) {
+  const type = getMessageType(msg);
+  const value = getMessageValue(msg);
+  // Coin lists come as objects, or as "1inj,2peggy0x..." strings (MsgExecuteContractCompat)
+  const coins = (list) => (typeof list === 'string'
+    ? list.split(',').filter(Boolean).map(parseCoinFromString)
+    : (Array.isArray(list) ? list : [list]).map(parseCoin)).filter(Boolean);
+  // Staking messages pay out the pending rewards of the validator they touch
+  const rewardsOf = (validator) => (validator ? getWithdrawnRewards(events, isOwner, validator) : []);
+
+  if (type.endsWith('.bank.v1beta1.MsgSend')) {
+    return {
+      spent: isOwner(value.from_address) ? coins(value.amount) : [],
+      received: isOwner(value.to_address) ? coins(value.amount) : [],
+      open: false,
+    };
+  }
+  if (type.endsWith('.MsgDelegate')) {
+    return { spent: coins(value.amount), received: rewardsOf(value.validator_address), open: false };
+  }
+  if (type.endsWith('.MsgUndelegate') || type.endsWith('.MsgWithdrawDelegatorReward')) {
+    return { spent: [], received: rewardsOf(value.validator_address), open: false };
+  }
+  if (type.endsWith('.MsgBeginRedelegate')) {
+    return { spent: [], received: [...rewardsOf(value.validator_src_address), ...rewardsOf(value.validator_dst_address)], open: false };
+  }
+  if (type.endsWith('.applications.transfer.v1.MsgTransfer')) {
+    return { spent: coins(value.token), received: [], open: false };
+  }
+  if (/\.MsgExecuteContract(Compat)?$/.test(type)) {
+    return { spent: coins(value.funds || []), received: [], open: true };
+  }
+  return { spent: [], received: [], open: true };
+}
+
+// Split the movements of an authz batch between its inner messages. Their coin
+// events all carry the MsgExec's msg_index, so each inner message takes the amounts
+// its body declares; whatever is left goes to the only open message, or - when no
+// single message can account for it - into a part without a message.
+function splitExecMovements(execMsgs, movements, events, isOwner) {
+  const pool = {
+    received: movements.received.map(c => ({ ...c })),
+    spent: movements.spent.map(c => ({ ...c })),
+  };
+  const take = (side, declared) => declared.flatMap(coin => {
+    const available = pool[side].find(c => c.denom === coin.denom);
+    const amount = available ? Math.min(available.amount, coin.amount) : 0;
+    if (amount <= 0) return [];
+    available.amount -= amount;
+    return [{ ...available, amount }];
+  });
+
+  const declared = execMsgs.map(inner => getDeclaredCoins(inner, events, isOwner));
+  const parts = execMsgs.map((inner, i) => ({
+    msg: inner,
+    note: `${getMessageNote(inner)} (authz)`,
+    movements: {
+      spent: take('spent', declared[i].spent),
+      received: take('received', declared[i].received),
+      counterparties: movements.counterparties || [],
+    },
+  }));
+
+  const left = {
+    spent: pool.spent.filter(c => c.amount > 1e-12),
+    received: pool.received.filter(c => c.amount > 1e-12),
+  };
+  if (left.spent.length === 0 && left.received.length === 0) return parts;
+
+  const open = parts.filter((_, i) => declared[i].open);
+  if (open.length === 1) {
+    open[0].movements.spent.push(...left.spent);
+    open[0].movements.received.push(...left.received);
+    return parts;
+  }
+  return [...parts, {
+    msg: null,
+    note: `${getMessageNote(execMsgs[0])} and ${execMsgs.length - 1} more (authz batch - could not attribute these amounts to one inner message)`,
+    movements: { ...left, counterparties: movements.counterparties || [] },
+  }];
+}
+
+function parseTransaction(tx, walletAddress, includeFailedForGas = false, { rules = [], ignoredDenoms = null } = {}) {
+  // Check if transaction failed
+  const isFailed = (tx.code && tx.code !== 0) || (tx.txCode && tx.txCode !== 0) || tx.errorLog || tx.error_log;
+
+  // Skip failed transactions unless we're including them for gas deduction
+  if (isFailed && !includeFailedForGas) return [];
+
+  const results = [];
+  const timestamp = tx.blockTimestamp || tx.block_timestamp || tx.timestamp || tx.time;
+  const date = new Date(timestamp);
+
+  if (isNaN(date.getTime())) return []; // Invalid date
+
+  const txHash = tx.hash || tx.txHash || tx.id || '';
+
+  // Parse fee - only charged to the wallet if it paid (directly or as feegrant granter)
+  const isOwner = createOwnerMatcher(walletAddress);
+  const feePayer = getFeePayer(tx);
+  const walletPaysFee = !feePayer || isOwner(feePayer);
+  const feeData = walletPaysFee ? (tx.gasFee?.amount?.[0] || tx.gas_fee?.amount?.[0] || tx.fee?.amount?.[0]) : null;
+  const feeRaw = feeData ? parseFloat(feeData.amount) / Math.pow(10, getTokenInfo(feeData.denom).decimals) : 0;
+  const feeAmount = feeRaw > 0 ? feeRaw.toFixed(8).replace(/\.?0+$/, '') : '';
+  const feeCurrency = feeData ? getTokenInfo(feeData.denom).symbol : '';
+
+  // Bundled transactions (bots, batch actions) carry several messages - each one
+  // gets its own coin movements, note and tag
+  const messages = getTxMessages(tx);
+  const messageCount = Math.max(messages.length, 1);
+  const messageNotes = Array.from({ length: messageCount }, (_, i) => getTransactionNote(tx, i));
+
+  // Note describing the whole transaction (fee-only and failed rows)
+  const txNote = [...new Set(messageNotes)].join(', ');
+
+  // Base transaction object for Awaken Tax format
+  const baseTx = {
+    ...createBaseRow(date, txHash),
+    feeRaw,
+    notes: txNote,
+    isFailed: isFailed,
+  };
+
+  // For failed transactions, just record the gas fee as a fee
+  if (isFailed) {
+    if (feeRaw > 0) {
+      return [{
+        ...baseTx,
+        sentQty: feeAmount,
+        sentCurrency: feeCurrency || 'INJ',
+        feeAmount,
+        feeCurrency: feeCurrency || 'INJ',
+        tag: 'fee',
+        notes: `Failed: ${txNote}`,
+        // Legacy UI fields
+        asset: feeCurrency || 'INJ',
+        amount: `-${feeAmount}`,
+      }];
     }
+    return [];
+  }
 
-    // Default based on flow direction
-    if (hasSpent && !hasReceived) return 'Transfer Out';
-    if (hasReceived && !hasSpent) return 'Transfer In';
+  const allSpent = [];
 
-    return ''; // Unknown - will show as empty tag
+  // The tx fee is reported on the first sent row only
+  let feeAttached = false;
+  const takeFee = () => {
+    if (feeAttached) return { feeAmount: '', feeCurrency: '' };
+    feeAttached = true;
+    return { feeAmount, feeCurrency };
   };
 
-  const txTag = classifyTransaction();
-
-  // SWAP/TRADE: Both sent and received tokens
-  if (hasSpent && hasReceived) {
-    if (movements.spent.length === 1 && movements.received.length === 1) {
-      // Clean swap: one token for another - single row
-      const sent = movements.spent[0];
-      const recv = movements.received[0];
-      results.push({
-        ...baseTx,
-        sentQty: sent.amount.toFixed(8).replace(/\.?0+$/, ''),
-        sentCurrency: sent.symbol,
-        receivedQty: recv.amount.toFixed(8).replace(/\.?0+$/, ''),
-        receivedCurrency: recv.symbol,
-        feeAmount,
-        feeCurrency,
-        tag: txTag,
-        notes: txNote,
-        asset: `${sent.symbol}→${recv.symbol}`,
-        amount: recv.amount.toFixed(6).replace(/\.?0+$/, ''),
-      });
-    } else {
-      // Multiple tokens: create rows for each movement
-      for (const sent of movements.spent) {
-        results.push({
-          ...baseTx,
-          sentQty: sent.amount.toFixed(8).replace(/\.?0+$/, ''),
-          sentCurrency: sent.symbol,
-          feeAmount: results.length === 0 ? feeAmount : '',
-          feeCurrency: results.length === 0 ? feeCurrency : '',
-          tag: txTag,
-          notes: txNote,
-          asset: sent.symbol,
-          amount: `-${sent.amount.toFixed(6).replace(/\.?0+$/, '')}`,
-        });
-      }
-      for (const recv of movements.received) {
-        results.push({
-          ...baseTx,
-          receivedQty: recv.amount.toFixed(8).replace(/\.?0+$/, ''),
-          receivedCurrency: recv.symbol,
-          tag: txTag,
-          notes: txNote,
-          asset: recv.symbol,
-          amount: recv.amount.toFixed(6).replace(/\.?0+$/, ''),
-        });
+  for (let msgIndex = 0; msgIndex < messageCount; msgIndex++) {
+    const msg = messages[msgIndex];
+    const execMsgs = getExecMessages(msg);
+
+    // Extract coin movements caused by this message (deduplicated)
+    const movements = extractCoinMovements(tx, walletAddress, msgIndex, ignoredDenoms);
+    const events = getMessageEvents(tx, msgIndex);
+    const context = { tx, msgIndex, events, isOwner, isAuthz: execMsgs.length > 0, rules };
+
+    // Authz: inner messages are handled as if sent directly - a batch has its
+    // movements split between them, unattributable amounts stay untagged
+    const parts = execMsgs.length > 1
+      ? splitExecMovements(execMsgs, movements, events, isOwner)
+      : [{ msg: execMsgs[0] || msg, note: messageNotes[msgIndex], movements }];
+    const groups = parts.flatMap(part => (part.msg
+      ? getMessageRowGroups(part.msg, part.note, part.movements, context)
+      : [{ tag: '', note: part.note, movements: part.movements }]));
+
+    for (const group of groups) {
+      const base = { ...baseTx, msgIndex, counterparties: group.movements.counterparties || [], ...group.fields };
+      // Order rows may be dropped later, so they never carry the tx fee
+      if (group.fields?.orderSource) {
+        results.push(...buildMovementRows(base, group.movements, group.tag, group.note, () => ({})));
+        continue;
       }
-    }
-  }
-  // SENT ONLY
-  else if (hasSpent && !hasReceived) {
-    for (const sent of movements.spent) {
-      results.push({
-        ...baseTx,
-        sentQty: sent.amount.toFixed(8).replace(/\.?0+$/, ''),
-        sentCurrency: sent.symbol,
-        feeAmount: results.length === 0 ? feeAmount : '',
-        feeCurrency: results.length === 0 ? feeCurrency : '',
-        tag: txTag,
-        notes: txNote,
-        asset: sent.symbol,
-        amount: `-${sent.amount.toFixed(6).replace(/\.?0+$/, '')}`,
-      });
-    }
-  }
-  // RECEIVED ONLY
-  else if (hasReceived && !hasSpent) {
-    for (const recv of movements.received) {
-      results.push({
-        ...baseTx,
-        receivedQty: recv.amount.toFixed(8).replace(/\.?0+$/, ''),
-        receivedCurrency: recv.symbol,
-        tag: txTag,
-        notes: txNote,
-        asset: recv.symbol,
-        amount: recv.amount.toFixed(6).replace(/\.?0+$/, ''),
-      });
+      allSpent.push(...group.movements.spent);
+      results.push(...buildMovementRows(base, group.movements, group.tag, group.note, takeFee));
     }
   }
 
   // Add gas fee as separate row if not already in spent tokens
   if (feeRaw > 0 && results.length > 0) {
-    const feeInSent = movements.spent.some(s => s.symbol === feeCurrency);
+    const feeInSent = allSpent.some(s => s.symbol === feeCurrency);
     if (!feeInSent) {
       results.push({
         ...baseTx,
@@ -644,6 +2504,474 @@ function parseTransaction(tx, walletAddress, includeFailedForGas = false) {
 }
 
 
+// Cancelled Peggy withdrawals never left the wallet: the original transfer and
+// bridge fee rows become refunds too, so no disposal is recorded for them
+function linkPeggyCancellations(rows) {
+  const cancelled = new Set(rows.filter(r => r.tag === 'Bridge Refund' && r.peggyTxId).map(r => r.peggyTxId));
+  for (const row of rows) {
+    if (row.peggyTxId && cancelled.has(row.peggyTxId) && row.tag !== 'Bridge Refund') {
+      row.tag = 'Bridge Refund';
+      row.notes = `${row.notes} (cancelled #${row.peggyTxId})`;
+    }
+  }
+  return rows;
+}
+
+// Refunded IBC transfers (timeout or error acknowledgement) collapse into a net-zero pair
+function matchIbcTransfers(rows) {
+  const refunds = new Map();
+  for (const row of rows) {
+    if (row.ibcRefund && row.ibcPacket) refunds.set(row.ibcPacket, [...(refunds.get(row.ibcPacket) || []), row]);
+  }
+
+  for (const row of rows) {
+    if (!row.ibcPacket || row.ibcRefund || row.tag !== 'Transfer Out') continue;
+    const refundRows = refunds.get(row.ibcPacket);
+    if (refundRows) {
+      for (const r of [row, ...refundRows]) {
+        r.tag = 'Failed Bridge';
+        r.notes = `${r.notes} (packet ${row.ibcPacket})`;
+      }
+    }
+  }
+  return rows;
+}
+
+// Fetch the state of IBC packets sent from Injective - returns { [packet]: 'pending' | 'settled' }
+// (packets the LCD couldn't answer for are missing)
+async function fetchIbcPacketStates(packets) {
+  const states = {};
+  for (let i = 0; i < packets.length; i += 100) {
+    try {
+      const res = await fetch(`${IBC_PACKETS_API}?packets=${packets.slice(i, i + 100).join(',')}`);
+      if (!res.ok) continue;
+      Object.assign(states, (await res.json()).packets);
+    } catch (e) { /* ignore - states stay unknown */ }
+  }
+  return states;
+}
+
+// Hold back outgoing IBC transfers whose packet the relayer hasn't acknowledged or
+// timed out yet - they may still be refunded, so they are tagged `Pending Bridge`
+// (non-taxable) until the ack arrives. Acknowledgements are relayed in txs of the
+// relayer, so the packet commitment on chain is checked instead of the history.
+async function flagPendingIbcTransfers(rows) {
+  const transfers = rows.filter(row => row.ibcPacket && !row.ibcRefund && row.tag === 'Transfer Out');
+  if (transfers.length === 0) return rows;
+
+  const states = await fetchIbcPacketStates([...new Set(transfers.map(row => row.ibcPacket))]);
+  for (const row of transfers) {
+    if (states[row.ibcPacket] !== 'pending') continue;
+    row.tag = 'Pending Bridge';
+    row.notes = `${row.notes} (pending acknowledgement)`;
+  }
+  return rows;
+}
+
+// ============================================================================
+// GOVERNANCE - Deposit refunds and burns (executed outside of any tx)
+// ============================================================================
+
+// Fetch deposit outcomes for the given proposals - returns null if unavailable
+async function fetchGovernanceOutcomes(proposalIds) {
+  try {
+    const res = await fetch(`${GOVERNANCE_API}?ids=${proposalIds.join(',')}`);
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+// Synthesize the refund or burn row closing each governance deposit row.
+// Deposits of proposals that are still open stay in escrow (no row).
+function buildGovernanceRows(depositRows, governance) {
+  const rows = [];
+  for (const deposit of depositRows) {
+    const proposal = governance.proposals?.[deposit.govProposalId];
+    if (!proposal || proposal.outcome === 'pending') continue;
+
+    // Deleted proposals ended with their deposit period
+    let resolvedAt = proposal.resolvedAt ? new Date(proposal.resolvedAt) : null;
+    if (!resolvedAt && governance.maxDepositPeriodSeconds) {
+      resolvedAt = new Date(deposit.timestamp + governance.maxDepositPeriodSeconds * 1000);
+    }
+    if (!resolvedAt || isNaN(resolvedAt.getTime())) continue;
+
+    // Same denom as the deposit, so pricing and P&L find the escrowed lot
+    const coin = { amount: parseFloat(deposit.sentQty), symbol: deposit.sentCurrency, denom: deposit.sentDenom };
+    // Settled by the EndBlocker - no tx hash, the proposal ID keys the row
+    const base = { ...createBaseRow(resolvedAt, ''), govProposalId: deposit.govProposalId };
+    const status = proposal.status.replace('PROPOSAL_STATUS_', '').toLowerCase();
+    if (proposal.outcome === 'burned') {
+      rows.push(...buildMovementRows(base, { received: [], spent: [coin] }, 'Governance Burn',
+        `Deposit burned - proposal #${deposit.govProposalId} ${{ veto: 'vetoed', quorum: 'missed quorum' }[proposal.burnReason] || status}`, () => ({})));
+    } else {
+      rows.push(...buildMovementRows(base, { received: [coin], spent: [] }, 'Governance Refund',
+        `Deposit refunded - proposal #${deposit.govProposalId} ${status}`, () => ({})));
+    }
+  }
+  return rows;
+}
+
+// ============================================================================
+// BURN AUCTION - Round settlements (executed outside of any tx)
+// ============================================================================
+
+// Fetch results of the given auction rounds - returns null if unavailable
+async function fetchAuctionRounds(rounds) {
+  try {
+    const res = await fetch(`${AUCTIONS_API}?rounds=${rounds.join(',')}`);
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+// Rounds won by the wallet become one multi-asset trade at settlement: the winning
+// bid's INJ out, the basket in. The winning bid row leaves escrow through that trade,
+// so only its tx fee is kept. Bids of open or lost rounds stay as they are.
+function settleAuctionRounds(rows, auctions, walletAddress) {
+  const isOwner = createOwnerMatcher(walletAddress);
+  const replaced = new Set();
+  const settlements = [];
+
+  for (const [round, auction] of Object.entries(auctions.rounds || {})) {
+    if (!isOwner(auction.winner) || !auction.endTimestamp || auction.endTimestamp > Date.now()) continue;
+
+    // Earlier bids of the round were refunded when outbid - the last one won
+    const bids = rows.filter(r => r.tag === 'Auction Bid' && r.auctionRound === round);
+    if (bids.length === 0) continue;
+    const winningBid = bids.reduce((last, r) => (r.timestamp > last.timestamp ? r : last));
+    const bidCoin = parseCoin({ denom: 'inj', amount: auction.winningBidAmount })
+      || { amount: parseFloat(winningBid.sentQty), symbol: winningBid.sentCurrency };
+    const basket = auction.basket.map(parseCoin).filter(Boolean);
+
+    const base = { ...createBaseRow(new Date(auction.endTimestamp), winningBid.txHash), auctionRound: round };
+    settlements.push(...buildMovementRows(base, { received: basket, spent: [bidCoin] }, 'swap',
+      `Burn auction round #${round} won`, () => ({})));
+
+    if (winningBid.feeAmount) {
+      Object.assign(winningBid, {
+        tag: 'fee',
+        sentQty: winningBid.feeAmount,
+        sentCurrency: winningBid.feeCurrency,
+        notes: 'Transaction fee (winning auction bid)',
+        asset: winningBid.feeCurrency,
+        amount: `-${winningBid.feeAmount}`,
+      });
+    } else {
+      replaced.add(winningBid);
+    }
+  }
+
+  return [...rows.filter(r => !replaced.has(r)), ...settlements];
+}
+
+// ============================================================================
+// INSURANCE FUNDS - Redemption payouts (executed outside of any tx)
+// ============================================================================
+
+// Fetch insurance fund redemption schedules of the wallet - returns null if unavailable
+async function fetchInsuranceRedemptions(address) {
+  try {
+    const res = await fetch(`${INSURANCE_API}/${address}`);
+    if (!res.ok) return null;
+    const data = await res.json();
+    return data.redemptions || [];
+  } catch {
+    return null;
+  }
+}
+
+// Disbursed redemptions become Remove Liquidity rows: the escrowed shares out and the
+// payout in, so the shares are valued at what they redeemed for
+function buildInsuranceRedemptionRows(redemptions) {
+  return redemptions
+    .filter(r => r.status === 'disbursed' && r.disbursedAt > 0)
+    .flatMap(r => {
+      const shares = parseCoin({ denom: r.redemptionDenom, amount: r.redemptionAmount });
+      const payout = parseCoin({ denom: r.disbursedDenom, amount: r.disbursedAmount });
+      if (!shares || !payout) return [];
+      // Paid out by the exchange module - no tx hash, the redemption ID keys the row
+      const base = { ...createBaseRow(new Date(r.disbursedAt), ''), redemptionId: r.redemptionId };
+      return buildMovementRows(base, { received: [payout], spent: [shares] }, 'Remove Liquidity',
+        `Insurance fund redemption #${r.redemptionId}`, () => ({}));
+    });
+}
+
+// Link LSD unbonding claims to the unstake requests they pay out: the claim row
+// becomes the redemption (escrowed LSD out, INJ in), the requests stay as escrow
+function linkLsdClaims(rows) {
+  const byTime = (a, b) => a.timestamp - b.timestamp;
+  const requests = rows.filter(r => r.lsdAction === 'unstake').sort(byTime);
+  const claims = rows.filter(r => r.lsdClaimContract && r.receivedQty).sort(byTime);
+
+  for (const claim of claims) {
+    // One claim withdraws every matured request of the contract
+    const matched = requests.filter(r =>
+      !r.lsdClaimTx && r.lsdContract === claim.lsdClaimContract && r.timestamp < claim.timestamp
+    );
+    if (matched.length === 0) continue;
+
+    // The claim becomes the redemption, so it takes over the escrowed side of the requests
+    const sentQty = matched.reduce((sum, r) => sum + parseFloat(r.sentQty || 0), 0);
+    Object.assign(claim, {
+      tag: 'swap',
+      lsdAction: 'redeem',
+      sentQty: sentQty.toFixed(8).replace(/\.?0+$/, ''),
+      sentCurrency: matched[0].sentCurrency,
+      sentDenom: matched[0].sentDenom,
+      notes: `Claim unstaked ${matched[0].sentCurrency} (requested in ${matched.map(r => r.txHash).join(', ')})`,
+      asset: `${matched[0].sentCurrency}→${claim.receivedCurrency}`,
+      amount: claim.receivedQty,
+    });
+    for (const request of matched) {
+      request.lsdClaimTx = claim.txHash;
+      request.notes = `${request.notes} - claimed in ${claim.txHash}`;
+    }
+  }
+  return rows;
+}
+
+// Liquid staking mints/redemptions are either taxable swaps or non-taxable wraps
+// where the INJ cost basis carries over to the LSD (and back)
+function applyLsdTreatment(rows, treatAsWrap) {
+  for (const row of rows) {
+    if (row.lsdAction === 'mint' || row.lsdAction === 'redeem') {
+      row.tag = treatAsWrap ? 'Wrap' : 'swap';
+    }
+  }
+  return rows;
+}
+
+// Escrowed NFT listings: a later payment for the same NFT moving on from the
+// marketplace is the sale, the NFT coming back is a delisting. Either way the
+// listing itself was only escrow.
+function linkNftSales(rows) {
+  const byTime = (a, b) => a.timestamp - b.timestamp;
+  const listings = rows.filter(r => r.nftEscrow).sort(byTime);
+  const findListing = (symbols, before) => listings.find(l =>
+    !l.nftListingClosed && l.timestamp < before && l.nftEscrow.some(s => symbols.includes(s))
+  );
+
+  for (const row of [...rows].sort(byTime)) {
+    if (row.nftSaleCandidates && row.receivedQty && !row.sentQty) {
+      const listing = findListing(row.nftSaleCandidates, row.timestamp);
+      if (!listing) continue;
+      listing.nftListingClosed = true;
+      Object.assign(row, {
+        tag: 'swap',
+        sentQty: listing.sentQty,
+        sentCurrency: listing.sentCurrency,
+        notes: `NFT sale (listed in ${listing.txHash})`,
+        asset: `${listing.sentCurrency}→${row.receivedCurrency}`,
+        amount: row.receivedQty,
+      });
+    } else if (row.nftReturns) {
+      const listing = findListing(row.nftReturns, row.timestamp);
+      if (!listing) continue;
+      listing.nftListingClosed = true;
+      Object.assign(row, { tag: 'NFT Listing', notes: `NFT delisted (listed in ${listing.txHash})` });
+    }
+  }
+  return rows;
+}
+
+// ============================================================================
+// SPOT FILLS - Exchange indexer trade history (Helix order book)
+// ============================================================================
+
+// Fetch all spot fills of the wallet's subaccounts - returns null if unavailable
+async function fetchSpotFills(address, startDate, endDate) {
+  const params = new URLSearchParams();
+  if (startDate) params.set('startTime', String(Date.parse(`${startDate}T00:00:00Z`)));
+  if (endDate) params.set('endTime', String(Date.parse(`${endDate}T23:59:59Z`)));
+
+  try {
+    const response = await fetch(`${TRADES_API}/${address}?${params}`);
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.fills || [];
+  } catch (e) {
+    return null;
+  }
+}
+
+// Convert one indexer fill into a Swap row with exact quantity, price and fee.
+// Fills are events inside a block, not txs - the row only gets a tx hash when the
+// indexer reports one, and keeps the indexer's trade ID in `tradeId` and the notes.
+function spotFillToRow(fill) {
+  const base = getTokenInfo(fill.baseDenom);
+  const quote = getTokenInfo(fill.quoteDenom);
+  const rawQuantity = parseFloat(fill.quantity);
+  const baseQty = rawQuantity / Math.pow(10, base.decimals);
+  // Indexer prices are raw quote units per raw base unit
+  const quoteQty = rawQuantity * parseFloat(fill.price) / Math.pow(10, quote.decimals);
+  const fee = parseFloat(fill.fee) / Math.pow(10, quote.decimals);
+  const price = baseQty > 0 ? quoteQty / baseQty : 0;
+
+  const isBuy = fill.direction === 'buy';
+  const [sent, sentQty, recv, recvQty] = isBuy
+    ? [quote, quoteQty, base, baseQty]
+    : [base, baseQty, quote, quoteQty];
+
+  // Negative fees are maker rebates - nothing to report in the fee column
+  const feeAmount = fee > 0 ? fee.toFixed(8).replace(/\.?0+$/, '') : '';
+  const rebateNote = fee < 0 ? `, rebate ${Math.abs(fee).toFixed(8).replace(/\.?0+$/, '')} ${quote.symbol}` : '';
+
+  return {
+    ...createBaseRow(new Date(fill.executedAt), fill.txHash || ''),
+    tradeId: fill.tradeId,
+    feeRaw: Math.max(fee, 0),
+    sentQty: sentQty.toFixed(8).replace(/\.?0+$/, ''),
+    sentCurrency: sent.symbol,
+    receivedQty: recvQty.toFixed(8).replace(/\.?0+$/, ''),
+    receivedCurrency: recv.symbol,
+    feeAmount,
+    feeCurrency: feeAmount ? quote.symbol : '',
+    tag: 'swap',
+    notes: `Spot ${fill.direction} ${fill.ticker || `${base.symbol}/${quote.symbol}`} @ ${price.toPrecision(6)}${rebateNote} (trade ${fill.tradeId})`,
+    asset: `${sent.symbol}→${recv.symbol}`,
+    amount: recvQty.toFixed(6).replace(/\.?0+$/, ''),
+  };
+}
+
+
+// ============================================================================
+// DERIVATIVES - Perpetual positions, realized PnL and funding
+// Exported in Awaken's perpetuals/futures CSV layout, next to the main CSV
+// ============================================================================
+
+// Fetch derivative fills and funding payments - returns null if unavailable
+async function fetchDerivativeHistory(address, startDate, endDate) {
+  const params = new URLSearchParams();
+  if (startDate) params.set('startTime', String(Date.parse(`${startDate}T00:00:00Z`)));
+  if (endDate) params.set('endTime', String(Date.parse(`${endDate}T23:59:59Z`)));
+
+  try {
+    const response = await fetch(`${DERIVATIVES_API}/${address}?${params}`);
+    if (!response.ok) return null;
+    const data = await response.json();
+    return { fills: data.fills || [], funding: data.funding || [], fundingUnavailable: Boolean(data.fundingUnavailable) };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Replay fills per (subaccount, market) position to compute realized PnL against
+// the average entry price. Returns perpetuals rows (oldest first) from startDate on.
+function buildPerpetualRows(fills, funding, startDate) {
+  const positions = {}; // { [subaccountId|marketId]: { quantity (signed), entryPrice, id } }
+  let positionCount = 0;
+  const rows = [];
+  const fmt = (n) => n.toFixed(8).replace(/\.?0+$/, '') || '0';
+
+  // Funding payments settle against whichever position is open at the time,
+  // so fills and payments are replayed on one timeline
+  const timeline = [
+    ...fills.map(fill => ({ time: fill.executedAt, fill })),
+    ...funding.map(payment => ({ time: payment.timestamp, payment })),
+  ].sort((a, b) => a.time - b.time);
+
+  for (const { fill, payment } of timeline) {
+    if (payment) {
+      const quote = getTokenInfo(payment.quoteDenom);
+      const amount = parseFloat(payment.amount) / Math.pow(10, quote.decimals);
+      const base = createBaseRow(new Date(payment.timestamp), '');
+      if (startDate && base.dateStr < startDate) continue;
+      rows.push({
+        ...base,
+        tag: 'funding_payment',
+        asset: (payment.ticker || 'PERP').split('/')[0],
+        amount: '0',
+        feeAmount: '',
+        feeCurrency: '',
+        pnl: amount.toFixed(2),
+        paymentToken: quote.symbol,
+        positionId: positions[`${payment.subaccountId}|${payment.marketId}`]?.id || '',
+        notes: `${payment.ticker} funding ${amount >= 0 ? 'received' : 'paid'}`,
+      });
+      continue;
+    }
+
+    const quote = getTokenInfo(fill.quoteDenom);
+    const scale = Math.pow(10, quote.decimals);
+    const quantity = parseFloat(fill.quantity);
+    const price = parseFloat(fill.price) / scale;
+    const fee = parseFloat(fill.fee) / scale;
+    if (!(quantity > 0)) continue;
+
+    const isLong = fill.direction === 'long' || fill.direction === 'buy';
+    const delta = isLong ? quantity : -quantity;
+    const key = `${fill.subaccountId}|${fill.marketId}`;
+    const pos = positions[key] || (positions[key] = { quantity: 0, entryPrice: 0, id: '' });
+    const asset = (fill.ticker || 'PERP').split('/')[0];
+
+    // Reduce (or close) the existing position if the fill goes the other way
+    let closedQty = 0;
+    let pnl = 0;
+    if (pos.quantity !== 0 && Math.sign(delta) !== Math.sign(pos.quantity)) {
+      closedQty = Math.min(quantity, Math.abs(pos.quantity));
+      pnl = (price - pos.entryPrice) * closedQty * Math.sign(pos.quantity);
+      pos.quantity += Math.sign(delta) * closedQty;
+    }
+    const closedId = pos.id;
+    if (Math.abs(pos.quantity) < 1e-12) {
+      pos.quantity = 0;
+      pos.entryPrice = 0;
+    }
+
+    // Whatever is left opens or increases a position (a flip opens a new one)
+    const openedQty = quantity - closedQty;
+    if (openedQty > 0) {
+      if (pos.quantity === 0) pos.id = `${asset}-${++positionCount}`;
+      const size = Math.abs(pos.quantity);
+      pos.entryPrice = (pos.entryPrice * size + price * openedQty) / (size + openedQty);
+      pos.quantity += Math.sign(delta) * openedQty;
+    }
+
+    // Like spot fills: the trade ID goes to `tradeId` and the notes, not the tx hash
+    const base = { ...createBaseRow(new Date(fill.executedAt), fill.txHash || ''), tradeId: fill.tradeId };
+    if (startDate && base.dateStr < startDate) continue;
+
+    // Split the trading fee between the close and open legs by quantity
+    const liquidationNote = fill.isLiquidation ? 'Liquidation, ' : '';
+    if (closedQty > 0) {
+      rows.push({
+        ...base,
+        tag: 'close_position',
+        asset,
+        amount: fmt(closedQty),
+        feeAmount: fmt(Math.max(fee, 0) * closedQty / quantity),
+        feeCurrency: quote.symbol,
+        pnl: pnl.toFixed(2),
+        paymentToken: quote.symbol,
+        positionId: closedId,
+        notes: `${liquidationNote}${fill.ticker} close ${fmt(closedQty)} @ ${price.toPrecision(6)} (trade ${fill.tradeId})`,
+      });
+    }
+    if (openedQty > 0) {
+      rows.push({
+        ...base,
+        tag: 'open_position',
+        asset,
+        amount: fmt(openedQty),
+        feeAmount: fmt(Math.max(fee, 0) * openedQty / quantity),
+        feeCurrency: quote.symbol,
+        pnl: '0.00',
+        paymentToken: quote.symbol,
+        positionId: pos.id,
+        notes: `${fill.ticker} ${isLong ? 'long' : 'short'} ${fmt(openedQty)} @ ${price.toPrecision(6)} (trade ${fill.tradeId})`,
+      });
+    }
+  }
+
+  return rows;
+}
+
+
 // Helper functions - no truncation for CSV accuracy
 function truncateAddress(addr) {
   return addr || '';
@@ -657,10 +2985,118 @@ function truncateMarketId(id) {
   return id || 'market';
 }
 
+// ============================================================================
+// PORTFOLIO - Several wallets of the same owner fetched together
+// ============================================================================
+
+// Helper: Entries of the address field - separated by commas, semicolons or
+// whitespace, lowercased and deduplicated
+function parseWalletList(input) {
+  return [...new Set((input || '').split(/[\s,;]+/).map(a => a.trim().toLowerCase()).filter(Boolean))];
+}
+
+// Helper: An address field entry is an inj1 address, a 0x address or a .inj name
+function isWalletInput(entry) {
+  return isValidInjAddress(entry) || hexToInjAddress(entry) !== null || /^[^\s.]+(\.[^\s.]+)*\.inj$/.test(entry);
+}
+
+// Helper: inj1 address of an address field entry - 0x addresses are converted
+// locally, .inj names are resolved through the name service
+async function resolveWalletInput(entry) {
+  if (isValidInjAddress(entry)) return entry;
+  const fromHex = hexToInjAddress(entry);
+  if (fromHex) return fromHex;
+
+  const response = await fetch(`${NAMES_API}?name=${encodeURIComponent(entry)}`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.address) {
+    throw new Error(data.error || `Could not resolve ${entry}`);
+  }
+  return data.address;
+}
+
+// Helper: Short form of an address for notes and labels (inj1ab...wxyz)
+function shortenAddress(address) {
+  return address.length > 14 ? `${address.slice(0, 8)}...${address.slice(-4)}` : address;
+}
+
+// Rows that can be one side of a transfer between portfolio wallets
+const SELF_TRANSFER_CANDIDATE_TAGS = new Set(['Transfer Out', 'Transfer In', '']);
+
+// A transfer between two wallets of the portfolio shows up in both histories under
+// the same tx hash: an outgoing row in one and an incoming row of the same token
+// and amount in the other. Both become Self Transfers; the sending row names the
+// receiving wallet so its cost basis lots can follow the coins.
+function linkSelfTransfers(rows) {
+  const matchers = {};
+  const isWallet = (wallet, address) => {
+    if (!matchers[wallet]) matchers[wallet] = createOwnerMatcher(wallet);
+    return matchers[wallet](address);
+  };
+  // Counterparties confirm the other side; rows without any (coins routed through a
+  // module or contract) match on tx hash, token and amount alone
+  const tradedWith = (row, wallet) => !row.counterparties?.length || row.counterparties.some(a => isWallet(wallet, a));
+
+  const incoming = new Map(); // "txHash|currency|qty" -> rows
+  for (const row of rows) {
+    if (!row.receivedQty || row.sentQty || !SELF_TRANSFER_CANDIDATE_TAGS.has(row.tag)) continue;
+    const key = `${row.txHash}|${row.receivedCurrency}|${row.receivedQty}`;
+    incoming.set(key, [...(incoming.get(key) || []), row]);
+  }
+
+  for (const row of rows) {
+    if (!row.sentQty || row.receivedQty || !SELF_TRANSFER_CANDIDATE_TAGS.has(row.tag)) continue;
+    const candidates = incoming.get(`${row.txHash}|${row.sentCurrency}|${row.sentQty}`) || [];
+    const match = candidates.find(r => r.wallet !== row.wallet && tradedWith(row, r.wallet) && tradedWith(r, row.wallet));
+    if (!match) continue;
+    candidates.splice(candidates.indexOf(match), 1);
+
+    row.tag = 'Self Transfer';
+    row.selfTransferTo = match.wallet;
+    row.notes = `${row.notes} (to ${shortenAddress(match.wallet)})`;
+    match.tag = 'Self Transfer';
+    match.selfTransferFrom = row.wallet;
+    match.notes = `${match.notes} (from ${shortenAddress(row.wallet)})`;
+  }
+  return rows;
+}
+
 // ============================================================================
 // CSV GENERATION - Awaken Tax format
 // https://help.awaken.tax/en/articles/10422149-how-to-format-your-csv-for-awaken-tax
 // ============================================================================
+
+// Tags the app adds on top of Awaken's labels, mapped to the Awaken label that
+// gets the same tax treatment on import. Escrowed coins (and liquid staking wraps)
+// are non-taxable like a stake, moves between own balances are plain transfers and
+// burns realize their cost basis like a fee
+const AWAKEN_TAGS = {
+  'Internal Transfer': tx => tx.sentQty ? 'Transfer Out' : 'Transfer In',
+  'Bridge Refund': tx => tx.sentQty ? 'Transfer Out' : 'Transfer In',
+  'Failed Bridge': tx => tx.sentQty ? 'Transfer Out' : 'Transfer In',
+  'Pending Bridge': tx => tx.sentQty ? 'Transfer Out' : 'Transfer In',
+  'Self Transfer': tx => tx.sentQty ? 'Transfer Out' : 'Transfer In',
+  'Governance Deposit': () => 'Staking Deposit',
+  'Governance Refund': () => 'Staking Return',
+  'Governance Burn': () => 'fee',
+  'Auction Bid': () => 'Staking Deposit',
+  'Auction Refund': () => 'Staking Return',
+  'Redemption Request': () => 'Staking Deposit',
+  // Paid NFT mints are purchases; token factory supply is income unless "Exclude
+  // self-minted supply from income" left its fiat value empty
+  'Mint': tx => tx.sentQty ? 'swap' : (tx.receivedFiat ? 'Reward' : 'Transfer In'),
+  'Burn': () => 'fee',
+  'Wrap': tx => tx.lsdAction === 'redeem' ? 'Staking Return' : 'Staking Deposit',
+  'LSD Unstake': () => 'Staking Deposit',
+  'NFT Listing': tx => tx.sentQty ? 'Staking Deposit' : 'Staking Return',
+};
+
+// Helper: Tag written to the Awaken CSV for a row
+function toAwakenTag(tx) {
+  const mapTag = AWAKEN_TAGS[tx.tag];
+  return mapTag ? mapTag(tx) : (tx.tag || '');
+}
+
 function generateCSV(transactions) {
   // Awaken Tax CSV columns (in order):
   // Date, Received Quantity, Received Currency, Received Fiat Amount,
@@ -693,16 +3129,138 @@ function generateCSV(transactions) {
     tx.feeCurrency || '',
     tx.txHash || '',
     tx.notes || '',
-    tx.tag || '',
+    toAwakenTag(tx),            // App-only tags mapped to Awaken labels
   ]);
 
-  const escapeCell = (cell) => {
-    const str = (cell ?? '').toString();
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-      return `"${str.replace(/"/g, '""')}"`;
-    }
-    return str;
+  return [
+    headers.join(','),
+    ...rows.map(row => row.map(escapeCell).join(','))
+  ].join('\n');
+}
+
+// Helper: YYYY-MM-DD -> MM/DD/YYYY as written on Form 8949
+function formatFormDate(dateStr) {
+  const [year, month, day] = dateStr.split('-');
+  return `${month}/${day}/${year}`;
+}
+
+// IRS Form 8949-style CSV - one line per lot disposed, short-term (Part I) before
+// long-term (Part II), then units sold without a known lot (proceeds only - the
+// basis is left for the preparer), followed by the Schedule D totals. Amounts are
+// rounded per line and totals are sums of the rounded lines.
+function generateForm8949CSV(transactions) {
+  const headers = [
+    'Description of Property',
+    'Date Acquired',
+    'Date Sold or Disposed',
+    'Proceeds',
+    'Cost or Other Basis',
+    'Adjustment Code',
+    'Adjustment Amount',
+    'Gain or (Loss)',
+    'Term',
+    'Transaction Hash',
+  ];
+
+  const cents = (value) => Math.round(value * 100) / 100;
+  const lines = [...transactions]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .flatMap(tx => (tx.disposals || []).map(disposal => {
+      const proceeds = cents(disposal.proceeds);
+      if (disposal.basis === null) return { ...disposal, proceeds, txHash: tx.txHash };
+      const basis = cents(disposal.basis);
+      return { ...disposal, proceeds, basis, gain: cents(proceeds - basis), txHash: tx.txHash };
+    }));
+
+  const termLabels = { short: 'Short-term', long: 'Long-term', unknown: 'Unknown - no cost basis' };
+  const totals = {
+    short: { proceeds: 0, basis: 0, gain: 0 },
+    long: { proceeds: 0, basis: 0, gain: 0 },
+    unknown: { proceeds: 0, basis: null, gain: null },
   };
+  const rowsByTerm = { short: [], long: [], unknown: [] };
+  for (const term of ['short', 'long', 'unknown']) {
+    for (const line of lines.filter(l => l.term === term)) {
+      totals[term].proceeds += line.proceeds;
+      if (line.basis !== null) {
+        totals[term].basis += line.basis;
+        totals[term].gain += line.gain;
+      }
+      rowsByTerm[term].push([
+        `${parseFloat(line.amount.toFixed(8))} ${line.asset}`,
+        line.acquired ? formatFormDate(line.acquired) : 'Unknown',
+        formatFormDate(line.disposed),
+        line.proceeds.toFixed(2),
+        line.basis === null ? '' : line.basis.toFixed(2),
+        '',                     // Code (f) - left to the preparer
+        '',                     // Adjustment (g)
+        line.gain === null ? '' : line.gain.toFixed(2),
+        termLabels[term],
+        line.txHash,
+      ]);
+    }
+  }
+
+  // Schedule D totals in the same columns as the lines they sum
+  const totalRow = (label, { proceeds, basis, gain }) => [
+    label, '', '', proceeds.toFixed(2), basis === null ? '' : basis.toFixed(2), '', '', gain === null ? '' : gain.toFixed(2), '', '',
+  ];
+  const summary = [
+    totalRow('Schedule D - Short-term total (Part I)', totals.short),
+    totalRow('Schedule D - Long-term total (Part II)', totals.long),
+    totalRow('Schedule D - Net gain or (loss)', {
+      proceeds: totals.short.proceeds + totals.long.proceeds,
+      basis: totals.short.basis + totals.long.basis,
+      gain: totals.short.gain + totals.long.gain,
+    }),
+  ];
+
+  // Lines without a basis can't go on Form 8949 as they are - they follow the
+  // Schedule D totals in a section of their own for the preparer to resolve
+  const unknownSection = rowsByTerm.unknown.length > 0
+    ? [
+      '',
+      ...[...rowsByTerm.unknown, totalRow('Unknown basis total - not included in the Schedule D totals above', totals.unknown)]
+        .map(row => row.map(escapeCell).join(',')),
+    ]
+    : [];
+
+  return [
+    headers.join(','),
+    ...[...rowsByTerm.short, ...rowsByTerm.long].map(row => row.map(escapeCell).join(',')),
+    '',
+    ...summary.map(row => row.map(escapeCell).join(',')),
+    ...unknownSection,
+  ].join('\n');
+}
+
+// Awaken perpetuals/futures CSV - one row per position open, close or funding payment
+function generatePerpetualsCSV(perpRows) {
+  const headers = [
+    'Date',
+    'Asset',
+    'Amount',
+    'Fee',
+    'P&L',
+    'Payment Token',
+    'ID',
+    'Notes',
+    'Tag',
+    'Transaction Hash',
+  ];
+
+  const rows = perpRows.map(row => [
+    row.dateFormatted,          // MM/DD/YYYY HH:MM:SS UTC
+    row.asset,                  // Underlying asset, e.g. BTC
+    row.amount,                 // Contracts opened/closed (0 for funding)
+    row.feeAmount || '',        // Trading fee in the payment token
+    row.pnl,                    // Realized PnL or funding (negative = loss/paid)
+    row.paymentToken,           // Margin/quote token, e.g. USDT
+    row.positionId || '',       // Links opens and closes of the same position
+    row.notes || '',
+    row.tag,                    // open_position, close_position, funding_payment
+    row.txHash || '',
+  ]);
 
   return [
     headers.join(','),
@@ -710,8 +3268,28 @@ function generateCSV(transactions) {
   ].join('\n');
 }
 
+function escapeCell(cell) {
+  const str = (cell ?? '').toString();
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+// Helper: Download CSV text as injective-<name>-<date>-<suffix>.csv
+function saveCSV(csv, name, suffix) {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+  const link = document.createElement('a');
+  const timestamp = new Date().toISOString().slice(0, 10);
+  link.href = URL.createObjectURL(blob);
+  link.download = `injective-${name}-${timestamp}-${suffix}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
 // ============================================================================
-// TAG CONFIGURATION - Awaken Tax compatible labels
+// TAG CONFIGURATION - Awaken Tax labels, plus app-only tags that the Awaken
+// export maps to their Awaken equivalent (AWAKEN_TAGS)
 // https://help.awaken.tax/en/articles/10453755-how-do-i-label-my-transactions
 // ============================================================================
 const TAG_CONFIG = {
@@ -733,12 +3311,58 @@ const TAG_CONFIG = {
   // Derivatives
   'Open Position': { bg: 'rgba(34, 197, 94, 0.15)', color: '#4ade80', label: 'Open Position' },
   'Close Position': { bg: 'rgba(239, 68, 68, 0.15)', color: '#f87171', label: 'Close Position' },
+  // Non-taxable moves between the wallet's own balances
+  'Internal Transfer': { bg: 'rgba(148, 163, 184, 0.15)', color: '#94a3b8', label: 'Internal Transfer' },
+  'Bridge Refund': { bg: 'rgba(148, 163, 184, 0.15)', color: '#cbd5e1', label: 'Bridge Refund' },
+  'Failed Bridge': { bg: 'rgba(148, 163, 184, 0.15)', color: '#cbd5e1', label: 'Failed Bridge' },
+  'Pending Bridge': { bg: 'rgba(148, 163, 184, 0.15)', color: '#94a3b8', label: 'Pending Bridge' },
+  'Self Transfer': { bg: 'rgba(148, 163, 184, 0.15)', color: '#e2e8f0', label: 'Self Transfer' },
+  // Governance
+  'Governance Deposit': { bg: 'rgba(148, 163, 184, 0.15)', color: '#94a3b8', label: 'Governance Deposit' },
+  'Governance Refund': { bg: 'rgba(148, 163, 184, 0.15)', color: '#cbd5e1', label: 'Governance Refund' },
+  'Governance Burn': { bg: 'rgba(239, 68, 68, 0.15)', color: '#f87171', label: 'Governance Burn' },
+  // Burn auction
+  'Auction Bid': { bg: 'rgba(148, 163, 184, 0.15)', color: '#94a3b8', label: 'Auction Bid' },
+  'Auction Refund': { bg: 'rgba(148, 163, 184, 0.15)', color: '#cbd5e1', label: 'Auction Refund' },
+  // Insurance fund shares waiting out the redemption notice period
+  'Redemption Request': { bg: 'rgba(59, 130, 246, 0.15)', color: '#93c5fd', label: 'Redemption Request' },
+  // Token factory supply
+  'Mint': { bg: 'rgba(20, 184, 166, 0.15)', color: '#2dd4bf', label: 'Mint' },
+  'Burn': { bg: 'rgba(239, 68, 68, 0.15)', color: '#fca5a5', label: 'Burn' },
+  // Liquid staking
+  'Wrap': { bg: 'rgba(139, 92, 246, 0.15)', color: '#c4b5fd', label: 'Wrap' },
+  'LSD Unstake': { bg: 'rgba(139, 92, 246, 0.15)', color: '#a78bfa', label: 'LSD Unstake' },
+  // NFTs held in marketplace escrow
+  'NFT Listing': { bg: 'rgba(236, 72, 153, 0.15)', color: '#f9a8d4', label: 'NFT Listing' },
   // Fee
   'fee': { bg: 'rgba(251, 146, 60, 0.15)', color: '#fb923c', label: 'Fee' },
   // Unknown/Other
   '': { bg: 'rgba(107, 114, 128, 0.12)', color: '#71717a', label: 'Unknown' },
 };
 
+// Tags for coins that change location but not owner - cost basis lots carry
+// through these rows untouched (no disposal, no new lot)
+const NON_TAXABLE_TAGS = new Set([
+  'Internal Transfer',
+  'Bridge Refund',
+  'Failed Bridge',
+  'Pending Bridge',
+  'Self Transfer',
+  'Governance Deposit',
+  'Governance Refund',
+  'Auction Bid',
+  'Auction Refund',
+  'Redemption Request',
+  'LSD Unstake',
+  'NFT Listing',
+]);
+
+// Tags for tokens destroyed without proceeds - their whole cost basis is a realized loss
+const WRITE_OFF_TAGS = new Set([
+  'Governance Burn',
+  'Burn',
+]);
+
 // ============================================================================
 // STYLES
 // ============================================================================
@@ -1002,9 +3626,310 @@ const styles = {
   },
 };
 
-// ============================================================================
-// COMPONENTS
-// ============================================================================
+// ============================================================================
+// COMPONENTS
+// ============================================================================
+// Option chip in the same style as the transaction type filters
+function OptionToggle({ label, title, color, checked, onChange, disabled }) {
+  return (
+    <label
+      title={title}
+      style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: '6px',
+        padding: '6px 12px',
+        background: checked ? `${color}15` : '#1f1f23',
+        border: `1px solid ${checked ? color : '#27272a'}`,
+        borderRadius: '6px',
+        cursor: disabled ? 'not-allowed' : 'pointer',
+        opacity: disabled ? 0.5 : 1,
+        transition: 'all 0.15s',
+      }}
+    >
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={onChange}
+        disabled={disabled}
+        style={{ display: 'none' }}
+      />
+      <span style={{
+        width: '8px',
+        height: '8px',
+        borderRadius: '50%',
+        background: checked ? color : '#3f3f46'
+      }} />
+      <span style={{ fontSize: '12px', color: checked ? color : '#52525b' }}>
+        {label}
+      </span>
+    </label>
+  );
+}
+
+// Value of the tag picker that makes a rule drop matching messages
+const RULE_IGNORE = '__ignore';
+const EMPTY_RULE_DRAFT = { msgType: '', contract: '', action: '', token: '', counterparty: '', tag: '', note: '' };
+const RULE_FIELD_PLACEHOLDERS = {
+  msgType: 'Message type (MsgSend)',
+  contract: 'Contract (inj1... / 0x...)',
+  action: 'Contract action',
+  token: 'Token (symbol or denom)',
+  counterparty: 'Counterparty address',
+};
+
+// Editor for user classification rules - first enabled matching rule wins
+function RulesEditor({ rules, onChange, disabled }) {
+  const [draft, setDraft] = useState(EMPTY_RULE_DRAFT);
+  const [formError, setFormError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const smallButton = { padding: '4px 10px', background: 'transparent', border: '1px solid #3f3f46', borderRadius: '6px', color: '#71717a', fontSize: '11px', cursor: 'pointer' };
+  const fieldInput = { ...styles.input, flex: '1 1 180px', padding: '8px 10px', fontSize: '12px' };
+
+  const addRule = () => {
+    const isIgnore = draft.tag === RULE_IGNORE;
+    const [rule] = normalizeClassificationRules([{
+      ...draft,
+      id: `rule-${Date.now()}`,
+      ignore: isIgnore,
+      tag: isIgnore ? '' : draft.tag,
+    }]);
+    if (!rule) {
+      setFormError('A rule needs at least one match field and a tag, note or ignore');
+      return;
+    }
+    onChange([...rules, rule]);
+    setDraft(EMPTY_RULE_DRAFT);
+    setFormError('');
+  };
+
+  const exportRules = () => {
+    const blob = new Blob([JSON.stringify({ version: 1, rules }, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'injective-classification-rules.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const importRules = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = normalizeClassificationRules(JSON.parse(await file.text()));
+      // Imported rules replace existing ones with the same id
+      const importedIds = new Set(imported.map(r => r.id));
+      onChange([...rules.filter(r => !importedIds.has(r.id)), ...imported]);
+      setFormError('');
+    } catch (err) {
+      setFormError(`Import failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
+        <span style={{ fontSize: '12px', color: '#71717a', textTransform: 'uppercase', letterSpacing: '0.05em' }}>
+          Classification Rules
+        </span>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button onClick={() => fileInputRef.current?.click()} disabled={disabled} style={smallButton}>
+            Import
+          </button>
+          <button onClick={exportRules} disabled={disabled || rules.length === 0} style={smallButton}>
+            Export
+          </button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={importRules} style={{ display: 'none' }} />
+        </div>
+      </div>
+
+      {rules.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginBottom: '12px' }}>
+          {rules.map(rule => (
+            <div
+              key={rule.id}
+              style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 10px', background: '#1f1f23', border: '1px solid #27272a', borderRadius: '6px', opacity: rule.enabled ? 1 : 0.5 }}
+            >
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={() => onChange(rules.map(r => r.id === rule.id ? { ...r, enabled: !r.enabled } : r))}
+                disabled={disabled}
+                title="Enable rule"
+              />
+              <span style={{ flex: 1, fontSize: '12px', color: '#a1a1aa', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                {describeClassificationRule(rule)}
+              </span>
+              <button
+                onClick={() => onChange(rules.filter(r => r.id !== rule.id))}
+                disabled={disabled}
+                style={{ ...smallButton, padding: '2px 8px' }}
+                title="Remove rule"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+        {RULE_MATCH_FIELDS.map(field => (
+          <input
+            key={field}
+            value={draft[field]}
+            onChange={e => setDraft(d => ({ ...d, [field]: e.target.value }))}
+            placeholder={RULE_FIELD_PLACEHOLDERS[field]}
+            disabled={disabled}
+            style={fieldInput}
+          />
+        ))}
+        <select
+          value={draft.tag}
+          onChange={e => setDraft(d => ({ ...d, tag: e.target.value }))}
+          disabled={disabled}
+          style={{ ...fieldInput, colorScheme: 'dark' }}
+        >
+          <option value="">Keep tag</option>
+          <option value={RULE_IGNORE}>Ignore message</option>
+          {Object.entries(TAG_CONFIG).map(([tag, { label }]) => (
+            <option key={tag} value={tag}>{label}</option>
+          ))}
+        </select>
+        <input
+          value={draft.note}
+          onChange={e => setDraft(d => ({ ...d, note: e.target.value }))}
+          placeholder="Note (optional)"
+          disabled={disabled || draft.tag === RULE_IGNORE}
+          style={fieldInput}
+        />
+        <button onClick={addRule} disabled={disabled} style={{ ...smallButton, padding: '8px 14px', fontSize: '12px' }}>
+          Add Rule
+        </button>
+      </div>
+      <div style={{ marginTop: '8px', fontSize: '11px', color: formError ? '#f87171' : '#52525b' }}>
+        {formError || 'Rules are checked in order before the built-in classification and apply on the next fetch.'}
+      </div>
+    </div>
+  );
+}
+
+const ROW_EDIT_LABELS = {
+  receivedQty: 'Received Qty',
+  receivedFiat: 'Recv Fiat (USD)',
+  sentQty: 'Sent Qty',
+  sentFiat: 'Sent Fiat (USD)',
+};
+
+// Helper: "1.5 @ $12.3400 (2025-01-31)" for lot lists
+function describeLot(lot) {
+  return `${parseFloat(lot.amount.toFixed(8))} @ $${lot.costPerUnit.toFixed(4)} (${lot.date})`;
+}
+
+// Inline editor for one row's tag, notes, quantities and fiat values
+function RowEditor({ row, pickLots = false, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => Object.fromEntries(OVERRIDE_FIELDS.map(f => [f, String(row[f] || '')])));
+  const [pickedLots, setPickedLots] = useState(() => row.overrides?.lots || []);
+  const [formError, setFormError] = useState('');
+
+  const fieldInput = { ...styles.input, flex: '1 1 140px', padding: '8px 10px', fontSize: '12px' };
+  const smallButton = { padding: '8px 14px', background: 'transparent', border: '1px solid #3f3f46', borderRadius: '6px', color: '#a1a1aa', fontSize: '12px', cursor: 'pointer' };
+
+  const save = () => {
+    const override = {};
+    for (const field of OVERRIDE_FIELDS) {
+      const value = draft[field].trim();
+      if (field in ROW_EDIT_LABELS && value !== '' && !(parseFloat(value) >= 0 && /^\d*\.?\d*$/.test(value))) {
+        setFormError(`${ROW_EDIT_LABELS[field]} must be a non-negative number`);
+        return;
+      }
+      // Keep earlier edits; store other fields only when changed. An empty fiat
+      // value falls back to the market price.
+      const isFiat = field === 'receivedFiat' || field === 'sentFiat';
+      if (isFiat && value === '') continue;
+      if (row.overrides?.[field] !== undefined || value !== String(row[field] || '')) {
+        override[field] = value;
+      }
+    }
+    // Lots picked for specific identification, in the order they are used
+    const lots = pickLots ? pickedLots : (row.overrides?.lots || []);
+    if (lots.length > 0) override.lots = lots;
+    onSave(Object.keys(override).length > 0 ? override : null);
+  };
+
+  const togglePickedLot = (id) => {
+    setPickedLots(picked => (picked.includes(id) ? picked.filter(p => p !== id) : [...picked, id]));
+  };
+
+  return (
+    <div style={{ padding: '12px', background: '#0f0f11', border: '1px solid #3f3f46', borderRadius: '8px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+        <select
+          value={draft.tag}
+          onChange={e => setDraft(d => ({ ...d, tag: e.target.value }))}
+          style={{ ...fieldInput, colorScheme: 'dark' }}
+        >
+          {Object.entries(TAG_CONFIG).map(([tag, { label }]) => (
+            <option key={tag} value={tag}>{label}</option>
+          ))}
+        </select>
+        <input
+          value={draft.notes}
+          onChange={e => setDraft(d => ({ ...d, notes: e.target.value }))}
+          placeholder="Notes"
+          style={{ ...fieldInput, flex: '2 1 240px' }}
+        />
+        {Object.entries(ROW_EDIT_LABELS).map(([field, label]) => (
+          <input
+            key={field}
+            value={draft[field]}
+            onChange={e => setDraft(d => ({ ...d, [field]: e.target.value }))}
+            placeholder={label}
+            title={label}
+            inputMode="decimal"
+            style={fieldInput}
+          />
+        ))}
+      </div>
+      {pickLots && row.availableLots?.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px', marginTop: '10px', fontSize: '11px', color: '#71717a' }}>
+          <span>Sell from {row.sentCurrency} lots (in order picked, rest FIFO):</span>
+          {row.availableLots.map((lot, i) => {
+            const rank = pickedLots.indexOf(lot.id);
+            return (
+              <button
+                key={`${lot.id}-${i}`}
+                onClick={() => togglePickedLot(lot.id)}
+                disabled={!lot.id}
+                style={{ ...smallButton, padding: '4px 8px', fontSize: '11px', ...(rank >= 0 ? { borderColor: '#a78bfa', color: '#a78bfa' } : {}) }}
+              >
+                {rank >= 0 ? `${rank + 1}. ` : ''}{describeLot(lot)}
+              </button>
+            );
+          })}
+        </div>
+      )}
+      {row.lotsConsumed?.length > 0 && (
+        <div style={{ marginTop: '10px', fontSize: '11px', color: '#52525b' }}>
+          Lots used: {row.lotsConsumed.map(describeLot).join(', ')}
+        </div>
+      )}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '10px' }}>
+        <button onClick={save} style={{ ...smallButton, borderColor: '#a78bfa', color: '#a78bfa' }}>Save</button>
+        {row.overrides && (
+          <button onClick={() => onSave(null)} style={smallButton} title="Drop all edits of this row">Revert</button>
+        )}
+        <button onClick={onCancel} style={smallButton}>Cancel</button>
+        <span style={{ fontSize: '11px', color: formError ? '#f87171' : '#52525b' }}>
+          {formError || 'Edits are saved in this browser and re-applied on every fetch.'}
+        </span>
+      </div>
+    </div>
+  );
+}
+
 function LoadingModal({ isOpen, progress, onCancel }) {
   if (!isOpen) return null;
 
@@ -1090,6 +4015,11 @@ function SuccessModal({ isOpen, stats, onClose }) {
 export default function Home() {
   const [address, setAddress] = useState('');
   const [transactions, setTransactions] = useState([]);
+  const [perpRows, setPerpRows] = useState([]);
+  const [fetchedWallets, setFetchedWallets] = useState([]); // Wallets of the last completed fetch
+  // Address field entries resolved while typing: { key, wallets: [{ entry, address, error }] },
+  // where key is the entry list they were resolved for
+  const [walletResolution, setWalletResolution] = useState({ key: '', wallets: [] });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [progress, setProgress] = useState({ current: 0, total: 0, status: '' });
@@ -1119,10 +4049,40 @@ export default function Home() {
     'Remove Liquidity': true,
     'Open Position': true,
     'Close Position': true,
+    'Internal Transfer': true,
+    'Bridge Refund': true,
+    'Failed Bridge': true,
+    'Pending Bridge': true,
+    'Self Transfer': true,
+    'Governance Deposit': true,
+    'Governance Refund': true,
+    'Governance Burn': true,
+    'Auction Bid': true,
+    'Auction Refund': true,
+    'Redemption Request': true,
+    Mint: true,
+    Burn: true,
+    Wrap: true,
+    'LSD Unstake': true,
+    'NFT Listing': true,
     Reward: true,
     fee: true,
     other: true, // For empty/unknown tags
   });
+  // Token creators: report self-minted supply without an income value
+  const [excludeMintIncome, setExcludeMintIncome] = useState(false);
+  // Liquid staking mints/redemptions as non-taxable wraps instead of swaps
+  const [lsdAsWrap, setLsdAsWrap] = useState(false);
+  const [costBasisMethod, setCostBasisMethod] = useState('fifo');
+  // User classification rules, evaluated before the built-in heuristics
+  const [classificationRules, setClassificationRules] = useState([]);
+  // Manual row edits by "wallet:txHash:rowIndex", re-applied on every fetch
+  const [rowOverrides, setRowOverrides] = useState({});
+  const [editingRowKey, setEditingRowKey] = useState(null);
+  // Tokens left out of parsing, pricing and the CSV ({ denom: symbol }) and the
+  // likely spam found by the last fetch
+  const [ignoredDenoms, setIgnoredDenoms] = useState({});
+  const [spamTokens, setSpamTokens] = useState([]);
   const cancelRef = useRef(false);
 
   const toggleTxType = (type) => {
@@ -1141,6 +4101,108 @@ export default function Home() {
     });
   }, []);
 
+  // Saved rules and edits are read after mount - localStorage is not available while prerendering
+  useEffect(() => {
+    setClassificationRules(loadClassificationRules());
+    setRowOverrides(loadRowOverrides());
+    setIgnoredDenoms(loadIgnoredDenoms());
+  }, []);
+
+  // Resolve 0x addresses and .inj names shortly after typing stops, so the
+  // resolved addresses can be checked before fetching
+  const walletEntries = useMemo(() => parseWalletList(address), [address]);
+  const walletEntriesKey = walletEntries.join(',');
+  useEffect(() => {
+    if (walletEntries.length === 0) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const wallets = await Promise.all(walletEntries.map(async (entry) => {
+        if (!isWalletInput(entry)) return { entry, address: null, error: 'Not an Injective address, 0x address or .inj name' };
+        try {
+          return { entry, address: await resolveWalletInput(entry), error: null };
+        } catch (e) {
+          return { entry, address: null, error: e.message };
+        }
+      }));
+      if (!cancelled) setWalletResolution({ key: walletEntriesKey, wallets });
+    }, 400);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [walletEntries, walletEntriesKey]);
+
+  const isResolvingWallets = walletEntries.length > 0 && walletResolution.key !== walletEntriesKey;
+  // inj1 addresses to fetch - sorted so row keys don't depend on the order wallets
+  // were entered in. null until every entry resolved.
+  const resolvedWallets = useMemo(() => {
+    if (walletEntries.length === 0 || walletResolution.key !== walletEntriesKey) return null;
+    if (walletResolution.wallets.some(w => !w.address)) return null;
+    return [...new Set(walletResolution.wallets.map(w => w.address))].sort();
+  }, [walletEntries, walletEntriesKey, walletResolution]);
+
+  const updateClassificationRules = (rules) => {
+    setClassificationRules(rules);
+    saveClassificationRules(rules);
+  };
+
+  // Recompute P&L and stats after rows were changed in place of a refetch
+  const recalculateRows = (rows, method = costBasisMethod) => {
+    rows.sort((a, b) => a.timestamp - b.timestamp);
+    calculatePnl(rows, { excludeMintIncome, method });
+    rows.sort((a, b) => b.timestamp - a.timestamp);
+    setTransactions(rows);
+    setStats(prev => prev && { ...prev, ...summarizeRows(rows) });
+  };
+
+  // Save (or clear, with null) the edits of one row and recompute P&L from the edited rows
+  const updateRowOverride = (rowKey, override) => {
+    const next = { ...rowOverrides };
+    if (override) {
+      next[rowKey] = override;
+    } else {
+      delete next[rowKey];
+    }
+    setRowOverrides(next);
+    saveRowOverrides(next);
+    setEditingRowKey(null);
+    recalculateRows(applyRowOverrides(transactions.map(tx => ({ ...tx })), next));
+  };
+
+  // Switching the cost basis method only re-runs P&L - no refetch needed
+  const changeCostBasisMethod = (method) => {
+    setCostBasisMethod(method);
+    if (transactions.length > 0) recalculateRows(transactions.map(tx => ({ ...tx })), method);
+  };
+
+  // Put tokens on the ignore list and drop them from the current rows right away
+  const ignoreTokens = (tokens) => {
+    const next = { ...ignoredDenoms };
+    let rows = transactions;
+    for (const { denom, symbol } of tokens) {
+      next[denom] = symbol;
+      rows = removeDenomLegs(rows, denom);
+    }
+    setIgnoredDenoms(next);
+    saveIgnoredDenoms(next);
+    setSpamTokens(prev => prev.filter(t => !(t.denom in next)));
+    recalculateRows(rows);
+    // Missing prices are reported as "SYMBOL on DATE (...)"
+    const symbols = new Set(tokens.map(t => t.symbol));
+    setStats(prev => prev && {
+      ...prev,
+      missingPrices: (prev.missingPrices || []).filter(item => !symbols.has(item.split(' on ')[0])),
+    });
+  };
+
+  // Un-ignored tokens come back on the next fetch
+  const unignoreToken = (denom) => {
+    const next = { ...ignoredDenoms };
+    delete next[denom];
+    setIgnoredDenoms(next);
+    saveIgnoredDenoms(next);
+  };
+
   const filteredTxs = useMemo(() => {
     if (filter === 'all') return transactions;
     return transactions.filter(tx => tx.tag === filter);
@@ -1153,17 +4215,21 @@ export default function Home() {
   const totalPages = Math.ceil(filteredTxs.length / ITEMS_PER_PAGE);
 
   const fetchTransactions = useCallback(async () => {
-    const trimmedAddress = address.trim();
-
-    if (!trimmedAddress || !trimmedAddress.startsWith('inj1') || trimmedAddress.length !== 42) {
-      setError('Please enter a valid Injective address (starts with inj1, 42 characters)');
+    if (walletEntries.length === 0) {
+      setError('Please enter an Injective address (inj1...), 0x address or .inj name - separate several wallets with commas');
       return;
     }
+    // Entries still resolving or not resolvable are listed under the field
+    if (!resolvedWallets) return;
+    const wallets = resolvedWallets;
 
     cancelRef.current = false;
     setLoading(true);
     setError('');
     setTransactions([]);
+    setPerpRows([]);
+    setFetchedWallets([]);
+    setSpamTokens([]);
     setCurrentPage(1);
     setFilter('all');
     setShowSuccess(false);
@@ -1173,97 +4239,199 @@ export default function Home() {
       // Ensure tokens are loaded
       const tokenData = await loadTokensGlobal();
       setTokenCount(Object.keys(tokenData || {}).length);
+      await loadEvmTokenPairs();
+      const marketDenoms = await fetchMarketDenoms();
+      const ignoredDenomSet = new Set(Object.keys(ignoredDenoms));
       setProgress(p => ({ ...p, status: 'Connecting to Injective...' }));
 
-      const allTxs = [];
-      const rawTxs = []; // Keep raw transactions for swap price extraction
-      const seenHashes = new Set();
-      let hasMore = true;
-      let skip = 0;
-      let batch = 0;
-      let totalEstimate = 0;
+      // One wallet's history with everything that settles outside of its transactions.
+      // Returns null when cancelled.
+      const fetchWalletHistory = async (wallet, label) => {
+        let allTxs = [];
+        const rawTxs = []; // Keep raw transactions for swap price extraction
+        const seenHashes = new Set();
+        let hasMore = true;
+        let skip = 0;
+        let batch = 0;
+        let totalEstimate = 0;
+
+        while (hasMore && !cancelRef.current) {
+          batch++;
+          setProgress(p => ({ ...p, status: `${label}Fetching batch ${batch}...` }));
+
+          const response = await fetch(`${EXPLORER_API}/${wallet}?limit=100&skip=${skip}`);
+
+          if (!response.ok) {
+            const errData = await response.json().catch(() => ({}));
+            throw new Error(errData.error || `API error: ${response.status}`);
+          }
 
-      while (hasMore && !cancelRef.current) {
-        batch++;
-        setProgress(p => ({ ...p, status: `Fetching batch ${batch}...` }));
+          const data = await response.json();
+          const txs = data.data || data.txs || [];
 
-        const response = await fetch(`${EXPLORER_API}/${trimmedAddress}?limit=100&skip=${skip}`);
+          // Update total estimate from paging info
+          if (data.paging?.total && data.paging.total > totalEstimate) {
+            totalEstimate = data.paging.total;
+          }
 
-        if (!response.ok) {
-          const errData = await response.json().catch(() => ({}));
-          throw new Error(errData.error || `API error: ${response.status}`);
-        }
+          if (txs.length === 0) {
+            hasMore = false;
+          } else {
+            // Pair, staking and LSD hub contracts are recognized by creator, label or minted token
+            await loadContractInfo(getCalledContracts(txs), LSD_TOKENS);
+
+            let reachedStartDate = false;
+            for (const tx of txs) {
+              const txTimestamp = tx.blockTimestamp || tx.block_timestamp || tx.timestamp;
+              const txDate = txTimestamp ? new Date(txTimestamp).toISOString().split('T')[0] : null;
+
+              // Check if transaction is older than start date - stop fetching
+              if (txDate && startDate && txDate < startDate) {
+                reachedStartDate = true;
+                console.log(`Stopping fetch: tx date ${txDate} < start date ${startDate}`);
+                break;
+              }
+
+              // Skip transactions after end date (don't process but keep fetching)
+              if (txDate && endDate && txDate > endDate) {
+                continue;
+              }
+
+              const txHash = tx.hash || tx.txHash || tx.id;
+
+              // Skip duplicates
+              if (seenHashes.has(txHash)) continue;
+              seenHashes.add(txHash);
+
+              // Keep raw transaction for swap price extraction
+              rawTxs.push(tx);
+
+              // Parse and add transactions (failed ones included if gas deductible is enabled)
+              const parsed = parseTransaction(tx, wallet, true, { rules: classificationRules, ignoredDenoms: ignoredDenomSet }); // Always include failed txs
+              allTxs.push(...parsed);
+            }
 
-        const data = await response.json();
-        const txs = data.data || data.txs || [];
+            // Stop fetching if we've reached transactions older than startDate
+            if (reachedStartDate) {
+              hasMore = false;
+            }
 
-        // Update total estimate from paging info
-        if (data.paging?.total && data.paging.total > totalEstimate) {
-          totalEstimate = data.paging.total;
-        }
+            skip += 100;
+            if (txs.length < 100) hasMore = false;
 
-        if (txs.length === 0) {
-          hasMore = false;
-        } else {
-          let reachedStartDate = false;
-          for (const tx of txs) {
-            const txTimestamp = tx.blockTimestamp || tx.block_timestamp || tx.timestamp;
-            const txDate = txTimestamp ? new Date(txTimestamp).toISOString().split('T')[0] : null;
-
-            // Check if transaction is older than start date - stop fetching
-            if (txDate && startDate && txDate < startDate) {
-              reachedStartDate = true;
-              console.log(`Stopping fetch: tx date ${txDate} < start date ${startDate}`);
-              break;
-            }
+            setProgress({
+              current: allTxs.length,
+              total: totalEstimate || allTxs.length,
+              status: startDate
+                ? `Fetching transactions from ${startDate}...`
+                : `Processing ${allTxs.length.toLocaleString()} transactions...`,
+            });
 
-            // Skip transactions after end date (don't process but keep fetching)
-            if (txDate && endDate && txDate > endDate) {
-              continue;
-            }
+            // Small delay to prevent rate limiting
+            await new Promise(r => setTimeout(r, 50));
+          }
+        }
 
-            const txHash = tx.hash || tx.txHash || tx.id;
+        if (cancelRef.current) return null;
 
-            // Skip duplicates
-            if (seenHashes.has(txHash)) continue;
-            seenHashes.add(txHash);
+        linkPeggyCancellations(allTxs);
+        matchIbcTransfers(allTxs);
+        linkLsdClaims(allTxs);
+        linkNftSales(allTxs);
+        applyLsdTreatment(allTxs, lsdAsWrap);
 
-            // Keep raw transaction for swap price extraction
-            rawTxs.push(tx);
+        // IBC transfers still in flight may yet be refunded
+        if (allTxs.some(tx => tx.ibcPacket && !tx.ibcRefund && tx.tag === 'Transfer Out')) {
+          setProgress(p => ({ ...p, status: 'Checking IBC transfers...' }));
+          await flagPendingIbcTransfers(allTxs);
+        }
 
-            // Parse and add transactions (failed ones included if gas deductible is enabled)
-            const parsed = parseTransaction(tx, trimmedAddress, true); // Always include failed txs
-            allTxs.push(...parsed);
+        // Governance deposits are refunded or burned when the proposal ends
+        const govDeposits = allTxs.filter(tx => tx.tag === 'Governance Deposit' && tx.govProposalId);
+        if (govDeposits.length > 0) {
+          setProgress(p => ({ ...p, status: 'Checking governance proposals...' }));
+          const governance = await fetchGovernanceOutcomes([...new Set(govDeposits.map(tx => tx.govProposalId))]);
+          if (governance !== null) {
+            allTxs.push(...buildGovernanceRows(govDeposits, governance));
           }
+        }
 
-          // Stop fetching if we've reached transactions older than startDate
-          if (reachedStartDate) {
-            hasMore = false;
+        // Burn auction rounds the wallet bid on - won rounds settle into a trade
+        const auctionRounds = [...new Set(allTxs.filter(tx => tx.tag === 'Auction Bid' && tx.auctionRound).map(tx => tx.auctionRound))];
+        if (auctionRounds.length > 0) {
+          setProgress(p => ({ ...p, status: 'Checking burn auction results...' }));
+          const auctions = await fetchAuctionRounds(auctionRounds);
+          if (auctions !== null) {
+            allTxs = settleAuctionRounds(allTxs, auctions, wallet);
           }
+        }
+
+        // Insurance fund redemptions are paid out once their notice period ends
+        setProgress(p => ({ ...p, status: 'Fetching insurance fund redemptions...' }));
+        const redemptions = await fetchInsuranceRedemptions(wallet);
+        if (redemptions !== null) {
+          allTxs.push(...buildInsuranceRedemptionRows(redemptions));
+        }
+
+        // Limit orders fill in later blocks - replace order placement rows with the
+        // actual fills from the exchange indexer (kept as-is if the indexer is down)
+        setProgress(p => ({ ...p, status: 'Fetching spot trade history...' }));
+        const spotFills = await fetchSpotFills(wallet, startDate, endDate);
+        if (spotFills !== null) {
+          allTxs = allTxs.filter(tx => tx.orderSource !== 'spot');
+          allTxs.push(...spotFills.map(spotFillToRow));
+        }
 
-          skip += 100;
-          if (txs.length < 100) hasMore = false;
+        // Derivative fills, liquidations and funding go to a separate perpetuals CSV
+        setProgress(p => ({ ...p, status: 'Fetching derivatives history...' }));
+        const derivatives = await fetchDerivativeHistory(wallet, startDate, endDate);
+        let perpetualRows = [];
+        if (derivatives !== null) {
+          allTxs = allTxs.filter(tx => tx.orderSource !== 'derivative');
+          perpetualRows = buildPerpetualRows(derivatives.fills, derivatives.funding, startDate)
+            .filter(row => !endDate || row.dateStr <= endDate);
+        }
 
-          setProgress({
-            current: allTxs.length,
-            total: totalEstimate || allTxs.length,
-            status: startDate
-              ? `Fetching transactions from ${startDate}...`
-              : `Processing ${allTxs.length.toLocaleString()} transactions...`,
-          });
+        return { rows: allTxs, perpetualRows, hashes: seenHashes, fundingUnavailable: Boolean(derivatives?.fundingUnavailable) };
+      };
 
-          // Small delay to prevent rate limiting
-          await new Promise(r => setTimeout(r, 50));
+      const allTxs = [];
+      const perpetualRows = [];
+      const seenHashes = new Set();
+      const fundingUnavailable = []; // Wallets whose funding payments couldn't be fetched
+      for (const wallet of wallets) {
+        const label = wallets.length > 1 ? `${shortenAddress(wallet)}: ` : '';
+        const history = await fetchWalletHistory(wallet, label);
+        if (!history) {
+          setLoading(false);
+          return;
         }
+        // Rows remember their wallet for per-wallet cost basis and CSVs
+        for (const row of [...history.rows, ...history.perpetualRows]) row.wallet = wallet;
+        allTxs.push(...history.rows);
+        perpetualRows.push(...history.perpetualRows);
+        history.hashes.forEach(hash => seenHashes.add(hash));
+        if (history.fundingUnavailable) fundingUnavailable.push(wallet);
       }
+      // Replay the positions of all wallets on one timeline
+      if (wallets.length > 1) perpetualRows.sort((a, b) => a.timestamp - b.timestamp);
 
-      if (cancelRef.current) {
-        setLoading(false);
-        return;
+      // Coins moved between the portfolio's own wallets are neither sold nor bought
+      if (wallets.length > 1) linkSelfTransfers(allTxs);
+
+      // Manual edits survive refetches - they are keyed by wallet, tx hash and row index
+      const overrides = migrateRowOverrides(allTxs, rowOverrides);
+      if (overrides !== rowOverrides) {
+        setRowOverrides(overrides);
+        saveRowOverrides(overrides);
       }
+      applyRowOverrides(assignRowKeys(allTxs), overrides);
+
+      // Airdropped spam is only flagged - the user decides what goes on the ignore list
+      setSpamTokens(detectSpamTokens(allTxs, marketDenoms));
 
       // Sort by date ASCENDING (oldest first) for cost basis calculation
-      allTxs.sort((a, b) => new Date(a.dateStr) - new Date(b.dateStr));
+      allTxs.sort((a, b) => a.timestamp - b.timestamp);
 
       // Filter by date range if specified
       let filteredTxs = allTxs;
@@ -1289,15 +4457,13 @@ export default function Home() {
         // Reset session prices (no caching between fetches)
         sessionPrices = { data: {}, sources: {} };
 
-        // Calculate P&L using FIFO cost basis
-        const costTracker = new CostBasisTracker();
-
         // Collect unique token/date combinations for price fetching
         const priceRequests = [];
         const seen = new Set();
         for (const tx of filteredTxs) {
-          // Request prices for received tokens
-          if (tx.receivedCurrency) {
+          // Request prices for received tokens (NFTs have no market - they are valued
+          // at the other leg of their trade)
+          if (tx.receivedCurrency && !isNftSymbol(tx.receivedCurrency)) {
             const key = `${tx.receivedCurrency}|${tx.dateStr}`;
             if (!seen.has(key)) {
               seen.add(key);
@@ -1305,7 +4471,7 @@ export default function Home() {
             }
           }
           // Request prices for sent tokens
-          if (tx.sentCurrency) {
+          if (tx.sentCurrency && !isNftSymbol(tx.sentCurrency)) {
             const key = `${tx.sentCurrency}|${tx.dateStr}`;
             if (!seen.has(key)) {
               seen.add(key);
@@ -1328,103 +4494,31 @@ export default function Home() {
           setProgress(p => ({ ...p, status: `Fetching prices... ${Math.min(100, Math.round(((i + 10) / priceRequests.length) * 100))}%` }));
         }
 
-        // Process transactions: populate fiat values and calculate P&L
-        for (const tx of filteredTxs) {
-          const receivedQty = tx.receivedQty ? parseFloat(tx.receivedQty) : 0;
-          const sentQty = tx.sentQty ? parseFloat(tx.sentQty) : 0;
-          const receivedPrice = tx.receivedCurrency ? getPrice(tx.receivedCurrency, tx.dateStr) : null;
-          const sentPrice = tx.sentCurrency ? getPrice(tx.sentCurrency, tx.dateStr) : null;
-
-          // Populate fiat values for CSV (leave empty if price unavailable)
-          if (receivedQty > 0 && receivedPrice !== null) {
-            tx.receivedFiat = (receivedQty * receivedPrice).toFixed(2);
-          }
-          if (sentQty > 0 && sentPrice !== null) {
-            tx.sentFiat = (sentQty * sentPrice).toFixed(2);
-          }
-
-          // Mark transactions with missing prices
-          tx.missingPrice = (receivedQty > 0 && receivedPrice === null) ||
-                            (sentQty > 0 && sentPrice === null);
-
-          // Track price sources and time diffs for this transaction
-          const recvSource = tx.receivedCurrency ? getPriceSource(tx.receivedCurrency, tx.dateStr) : null;
-          const sentSource = tx.sentCurrency ? getPriceSource(tx.sentCurrency, tx.dateStr) : null;
-          tx.priceSource = recvSource || sentSource; // 'injective-dex' or 'pyth'
-
-          // Check for time difference warnings
-          const recvTimeDiff = tx.receivedCurrency ? getPriceTimeDiff(tx.receivedCurrency, tx.dateStr) : null;
-          const sentTimeDiff = tx.sentCurrency ? getPriceTimeDiff(tx.sentCurrency, tx.dateStr) : null;
-          tx.priceTimeDiff = recvTimeDiff || sentTimeDiff; // Hours away from actual trade
-
-          // Add received tokens to cost basis (only if we have a price)
-          if (receivedQty > 0 && tx.receivedCurrency && receivedPrice !== null) {
-            costTracker.addLot(tx.receivedCurrency, receivedQty, receivedPrice, tx.dateStr);
-          }
-
-          // Calculate P&L for sent tokens (only if we have a price)
-          if (sentQty > 0 && tx.sentCurrency && sentPrice !== null) {
-            const { realizedPnl } = costTracker.sellFIFO(tx.sentCurrency, sentQty, sentPrice);
-            if (realizedPnl !== null) {
-              tx.pnl = realizedPnl.toFixed(2);
-              tx.pnlDisplay = realizedPnl >= 0 ? `+${realizedPnl.toFixed(2)}` : realizedPnl.toFixed(2);
-            } else {
-              tx.pnl = '';
-              tx.pnlDisplay = '';
-            }
-          } else {
-            // No price available or no sent amount
-            tx.pnl = '';
-            tx.pnlDisplay = '';
-          }
-        }
+        // Populate fiat values and calculate P&L (overridden values take precedence)
+        calculatePnl(filteredTxs, { excludeMintIncome, method: costBasisMethod });
       }
 
       // Use filtered transactions
       const finalTxs = filteredTxs;
 
       // Sort by date DESCENDING (newest first) for display
-      finalTxs.sort((a, b) => new Date(b.dateStr) - new Date(a.dateStr));
+      finalTxs.sort((a, b) => b.timestamp - a.timestamp);
 
       setTransactions(finalTxs);
-
-      // Calculate stats
-      const tagCounts = {};
-      let totalPnl = 0;
-      let missingPriceCount = 0;
-      let timeDiffCount = 0;
-      const timeDiffList = [];
-      finalTxs.forEach(tx => {
-        const tag = tx.tag || '';
-        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
-
-        if (tx.missingPrice) {
-          missingPriceCount++;
-        }
-        if (tx.priceTimeDiff && tx.priceTimeDiff > 1) {
-          timeDiffCount++;
-          const token = tx.receivedCurrency || tx.sentCurrency;
-          if (token) {
-            timeDiffList.push(`${token} on ${tx.dateStr} (${tx.priceTimeDiff}h away)`);
-          }
-        }
-        if (tx.pnl && tx.pnl !== '') {
-          totalPnl += parseFloat(tx.pnl) || 0;
-        }
-      });
+      setPerpRows(perpetualRows);
+      setFetchedWallets(wallets);
 
       // Deduplicate missing prices list
       const uniqueMissing = [...new Set(missingPrices)];
 
       setStats({
-        total: finalTxs.length,
-        tagCounts,
+        ...summarizeRows(finalTxs),
         uniqueTxs: seenHashes.size,
-        totalPnl,
-        missingPriceCount,
         missingPrices: uniqueMissing,
-        timeDiffCount,
-        timeDiffList: [...new Set(timeDiffList)],
+        perpCount: perpetualRows.length,
+        perpPnl: perpetualRows.reduce((sum, row) => sum + (parseFloat(row.pnl) || 0), 0),
+        fundingUnavailable,
+        startDate,
       });
       setShowSuccess(true);
 
@@ -1433,18 +4527,35 @@ export default function Home() {
     } finally {
       setLoading(false);
     }
-  }, [address, startDate, endDate, txTypeFilters]);
+  }, [walletEntries, resolvedWallets, startDate, endDate, txTypeFilters, excludeMintIncome, lsdAsWrap, costBasisMethod, classificationRules, rowOverrides, ignoredDenoms]);
+
+  const isPortfolio = fetchedWallets.length > 1;
 
   const downloadCSV = useCallback(() => {
-    const csv = generateCSV(transactions);
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const timestamp = new Date().toISOString().slice(0, 10);
-    link.href = URL.createObjectURL(blob);
-    link.download = `injective-${address.slice(0, 10)}-${timestamp}-awaken.csv`;
-    link.click();
-    URL.revokeObjectURL(link.href);
-  }, [transactions, address]);
+    const name = fetchedWallets.length > 1 ? 'portfolio' : (fetchedWallets[0] || address).slice(0, 10);
+    saveCSV(generateCSV(transactions), name, 'awaken');
+  }, [transactions, fetchedWallets, address]);
+
+  const downloadPerpetualsCSV = useCallback(() => {
+    const name = fetchedWallets.length > 1 ? 'portfolio' : (fetchedWallets[0] || address).slice(0, 10);
+    saveCSV(generatePerpetualsCSV(perpRows), name, 'awaken-perps');
+  }, [perpRows, fetchedWallets, address]);
+
+  const hasDisposals = useMemo(() => transactions.some(tx => tx.disposals?.length > 0), [transactions]);
+
+  const downloadForm8949CSV = useCallback(() => {
+    const name = fetchedWallets.length > 1 ? 'portfolio' : (fetchedWallets[0] || address).slice(0, 10);
+    saveCSV(generateForm8949CSV(transactions), name, 'form-8949');
+  }, [transactions, fetchedWallets, address]);
+
+  // One file per wallet of the portfolio - self transfers appear as such in both
+  const downloadWalletCSVs = useCallback(() => {
+    for (const wallet of fetchedWallets) {
+      saveCSV(generateCSV(transactions.filter(tx => tx.wallet === wallet)), wallet, 'awaken');
+      const walletPerps = perpRows.filter(row => row.wallet === wallet);
+      if (walletPerps.length > 0) saveCSV(generatePerpetualsCSV(walletPerps), wallet, 'awaken-perps');
+    }
+  }, [transactions, perpRows, fetchedWallets]);
 
   const handleKeyDown = useCallback((e) => {
     if (e.key === 'Enter' && !loading) {
@@ -1492,7 +4603,7 @@ export default function Home() {
               value={address}
               onChange={e => setAddress(e.target.value)}
               onKeyDown={handleKeyDown}
-              placeholder="inj1..."
+              placeholder="inj1..., 0x... or name.inj (separate several wallets with commas)"
               disabled={loading}
               style={{
                 ...styles.input,
@@ -1504,10 +4615,10 @@ export default function Home() {
             />
             <button
               onClick={fetchTransactions}
-              disabled={loading || !address.trim()}
+              disabled={loading || !resolvedWallets}
               style={{
                 ...styles.button,
-                ...(loading || !address.trim() ? styles.buttonDisabled : {}),
+                ...(loading || !resolvedWallets ? styles.buttonDisabled : {}),
               }}
               className="responsive-button"
             >
@@ -1519,6 +4630,23 @@ export default function Home() {
             </button>
           </div>
 
+          {/* Addresses resolved from 0x or .inj input, and entries that can't be fetched */}
+          {isResolvingWallets && walletEntries.some(entry => !isValidInjAddress(entry)) && (
+            <div style={{ marginTop: '10px', fontSize: '12px', color: '#71717a' }}>Resolving...</div>
+          )}
+          {walletResolution.key === walletEntriesKey && walletResolution.wallets.some(w => w.entry !== w.address) && (
+            <div style={{ marginTop: '10px', display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '12px', color: '#71717a' }}>
+              {walletResolution.wallets.filter(w => w.entry !== w.address).map(({ entry, address: resolvedAddress, error: resolveError }) => (
+                <div key={entry}>
+                  {entry} <span style={{ color: '#52525b' }}>→</span>{' '}
+                  {resolvedAddress
+                    ? <span style={{ color: '#a1a1aa', fontFamily: 'ui-monospace, SFMono-Regular, monospace' }}>{resolvedAddress}</span>
+                    : <span style={{ color: '#f87171' }}>{resolveError}</span>}
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Date Range & Options */}
           <div style={{ marginTop: '20px', display: 'flex', flexWrap: 'wrap', gap: '16px', alignItems: 'center' }} className="responsive-date-range">
             <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }} className="responsive-date-group">
@@ -1592,6 +4720,22 @@ export default function Home() {
                 { key: 'Staking Claim', label: 'Rewards', color: '#4ade80' },
                 { key: 'Add Liquidity', label: 'Add LP', color: '#60a5fa' },
                 { key: 'Remove Liquidity', label: 'Remove LP', color: '#93c5fd' },
+                { key: 'Internal Transfer', label: 'Internal', color: '#94a3b8' },
+                { key: 'Bridge Refund', label: 'Bridge Refund', color: '#cbd5e1' },
+                { key: 'Failed Bridge', label: 'Failed Bridge', color: '#cbd5e1' },
+                { key: 'Pending Bridge', label: 'Pending Bridge', color: '#94a3b8' },
+                { key: 'Self Transfer', label: 'Self Transfer', color: '#e2e8f0' },
+                { key: 'Governance Deposit', label: 'Gov Deposit', color: '#94a3b8' },
+                { key: 'Governance Refund', label: 'Gov Refund', color: '#cbd5e1' },
+                { key: 'Governance Burn', label: 'Gov Burn', color: '#f87171' },
+                { key: 'Auction Bid', label: 'Auction Bid', color: '#94a3b8' },
+                { key: 'Auction Refund', label: 'Auction Refund', color: '#cbd5e1' },
+                { key: 'Redemption Request', label: 'Redemption', color: '#93c5fd' },
+                { key: 'Mint', label: 'Mint', color: '#2dd4bf' },
+                { key: 'Burn', label: 'Burn', color: '#fca5a5' },
+                { key: 'Wrap', label: 'Wrap', color: '#c4b5fd' },
+                { key: 'LSD Unstake', label: 'LSD Unstake', color: '#a78bfa' },
+                { key: 'NFT Listing', label: 'NFT Listing', color: '#f9a8d4' },
                 { key: 'fee', label: 'Fee', color: '#fb923c' },
                 { key: 'other', label: 'Other', color: '#71717a' },
               ].map(({ key, label, color }) => (
@@ -1632,6 +4776,79 @@ export default function Home() {
             </div>
           </div>
 
+          {/* Options */}
+          <div style={{ marginTop: '20px' }}>
+            <span style={{ display: 'block', fontSize: '12px', color: '#71717a', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '12px' }}>
+              Options
+            </span>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+              <OptionToggle
+                label="Exclude self-minted supply from income"
+                title="Minted tokens keep a zero cost basis either way - this only removes their value from income"
+                color="#2dd4bf"
+                checked={excludeMintIncome}
+                onChange={() => setExcludeMintIncome(v => !v)}
+                disabled={loading}
+              />
+              <OptionToggle
+                label="Treat liquid staking as non-taxable wrap"
+                title="Minting or redeeming stINJ, hINJ or dINJ carries the INJ cost basis over instead of realizing a swap"
+                color="#c4b5fd"
+                checked={lsdAsWrap}
+                onChange={() => setLsdAsWrap(v => !v)}
+                disabled={loading}
+              />
+              <select
+                value={costBasisMethod}
+                onChange={e => changeCostBasisMethod(e.target.value)}
+                disabled={loading}
+                title="Which lots a sale consumes - with specific identification, pick lots by editing a sale row"
+                style={{ ...styles.input, flex: 'none', width: 'auto', padding: '8px 12px', fontSize: '12px', colorScheme: 'dark' }}
+              >
+                {Object.entries(COST_BASIS_METHODS).map(([method, label]) => (
+                  <option key={method} value={method}>Cost basis: {label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {/* Classification Rules */}
+          <div style={{ marginTop: '20px' }}>
+            <RulesEditor
+              rules={classificationRules}
+              onChange={updateClassificationRules}
+              disabled={loading}
+            />
+          </div>
+
+          {/* Ignored Tokens */}
+          {Object.keys(ignoredDenoms).length > 0 && (
+            <div style={{ marginTop: '20px' }}>
+              <span style={{ display: 'block', fontSize: '12px', color: '#71717a', textTransform: 'uppercase', letterSpacing: '0.05em', marginBottom: '12px' }}>
+                Ignored Tokens
+              </span>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                {Object.entries(ignoredDenoms).map(([denom, symbol]) => (
+                  <span
+                    key={denom}
+                    title={denom}
+                    style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '4px 6px 4px 10px', background: '#1f1f23', border: '1px solid #27272a', borderRadius: '6px', fontSize: '12px', color: '#71717a' }}
+                  >
+                    {symbol || denom}
+                    <button
+                      onClick={() => unignoreToken(denom)}
+                      disabled={loading}
+                      style={{ background: 'transparent', border: 'none', color: '#52525b', cursor: 'pointer', fontSize: '14px', lineHeight: 1 }}
+                      title="Stop ignoring (applies on the next fetch)"
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
           {error && <div style={styles.error}>{error}</div>}
         </div>
 
@@ -1668,6 +4885,19 @@ export default function Home() {
                   {stats.totalPnl >= 0 ? '+' : ''}${Math.abs(stats.totalPnl).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                 </div>
                 <div style={styles.statLabel} className="responsive-stat-label">Est. P&L (USD)</div>
+                {(stats.shortTermPnl !== 0 || stats.longTermPnl !== 0) && (
+                  <div style={{ fontSize: '11px', color: '#52525b', marginTop: '4px' }}>
+                    Short {stats.shortTermPnl >= 0 ? '+' : '-'}{Math.abs(stats.shortTermPnl).toFixed(2)} · Long {stats.longTermPnl >= 0 ? '+' : '-'}{Math.abs(stats.longTermPnl).toFixed(2)}
+                  </div>
+                )}
+              </div>
+            )}
+            {stats.perpCount > 0 && (
+              <div style={styles.statCard} className="responsive-stat-card">
+                <div style={{ ...styles.statValue, color: stats.perpPnl >= 0 ? '#4ade80' : '#f87171' }} className="responsive-stat-value">
+                  {stats.perpPnl >= 0 ? '+' : '-'}{Math.abs(stats.perpPnl).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                </div>
+                <div style={styles.statLabel} className="responsive-stat-label">Perp P&L + Funding</div>
               </div>
             )}
             {stats.missingPriceCount > 0 && (
@@ -1685,6 +4915,57 @@ export default function Home() {
           </div>
         )}
 
+        {/* Likely spam tokens */}
+        {spamTokens.length > 0 && (
+          <div className="responsive-warning-box" style={{
+            padding: '16px 20px',
+            background: 'rgba(244, 63, 94, 0.1)',
+            border: '1px solid rgba(244, 63, 94, 0.3)',
+            borderRadius: '12px',
+            marginBottom: '24px',
+          }}>
+            <div style={{ display: 'flex', alignItems: 'flex-start', gap: '12px' }} className="responsive-warning-content">
+              <svg className="responsive-warning-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="#fb7185" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{ flexShrink: 0, marginTop: '2px' }}>
+                <circle cx="12" cy="12" r="10"/>
+                <path d="m4.9 4.9 14.2 14.2"/>
+              </svg>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '12px', marginBottom: '4px' }}>
+                  <div className="responsive-warning-title" style={{ fontWeight: '600', color: '#fb7185' }}>
+                    Possible Spam Tokens
+                  </div>
+                  <button
+                    onClick={() => ignoreTokens(spamTokens)}
+                    style={{ padding: '4px 10px', background: 'transparent', border: '1px solid rgba(244, 63, 94, 0.5)', borderRadius: '6px', color: '#fb7185', fontSize: '11px', cursor: 'pointer' }}
+                  >
+                    Ignore all
+                  </button>
+                </div>
+                <div className="responsive-warning-text" style={{ color: '#a1a1aa', fontSize: '14px', lineHeight: '1.5' }}>
+                  {spamTokens.length} tokens look like unsolicited airdrops. Ignored tokens are left out of parsing,
+                  pricing and the CSV on this and every future fetch.
+                </div>
+                <div style={{ marginTop: '8px', display: 'flex', flexDirection: 'column', gap: '6px', maxHeight: '180px', overflow: 'auto' }}>
+                  {spamTokens.map(token => (
+                    <div key={token.denom} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px' }}>
+                      <button
+                        onClick={() => ignoreTokens([token])}
+                        style={{ padding: '2px 8px', background: 'transparent', border: '1px solid #3f3f46', borderRadius: '6px', color: '#a1a1aa', fontSize: '11px', cursor: 'pointer', flexShrink: 0 }}
+                      >
+                        Ignore
+                      </button>
+                      <span style={{ color: '#fafafa', fontWeight: '500' }} title={token.denom}>{token.symbol}</span>
+                      <span style={{ color: '#71717a', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        {token.reasons.join(' · ')}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Warning for missing prices */}
         {stats?.missingPrices?.length > 0 && (
           <div className="responsive-warning-box" style={{
@@ -1727,6 +5008,74 @@ export default function Home() {
           </div>
         )}
 
+        {/* Warning for sales the Form 8949 can't give a basis or holding period */}
+        {hasDisposals && (stats?.uncoveredDisposals > 0 || stats?.startDate) && (
+          <div className="responsive-warning-box" style={{
+            padding: '16px 20px',
+            background: 'rgba(245, 158, 11, 0.1)',
+            border: '1px solid rgba(245, 158, 11, 0.3)',
+            borderRadius: '12px',
+            marginBottom: '24px',
+          }}>
+            <div style={{ display: 'flex', alignItems: 'flex-start', gap: '12px' }} className="responsive-warning-content">
+              <svg className="responsive-warning-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{ flexShrink: 0, marginTop: '2px' }}>
+                <path d="m21.73 18-8-14a2 2 0 0 0-3.48 0l-8 14A2 2 0 0 0 4 21h16a2 2 0 0 0 1.73-3Z"/>
+                <path d="M12 9v4"/>
+                <path d="M12 17h.01"/>
+              </svg>
+              <div>
+                <div className="responsive-warning-title" style={{ fontWeight: '600', color: '#f59e0b', marginBottom: '4px' }}>
+                  {stats.uncoveredDisposals > 0 ? 'Sales Without Cost Basis' : 'Incomplete Holding Periods'}
+                </div>
+                <div className="responsive-warning-text" style={{ color: '#a1a1aa', fontSize: '14px', lineHeight: '1.5' }}>
+                  {stats.uncoveredDisposals > 0 && (
+                    <>
+                      {stats.uncoveredDisposals} disposals (${stats.uncoveredProceeds.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} in proceeds)
+                      sold coins with no known acquisition - usually bought or received before the start date, or without a price.
+                      They are in the Form 8949 CSV with their proceeds and an empty basis for you or your preparer to fill in.{' '}
+                    </>
+                  )}
+                  {stats.startDate && (
+                    <>
+                      Only acquisitions from {stats.startDate} on are tracked, so coins held longer show up as short-term or
+                      without basis. Fetch from the wallet&apos;s first transaction for complete holding periods.
+                    </>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Warning for perpetuals exported without (all of) their funding payments */}
+        {stats?.fundingUnavailable?.length > 0 && (
+          <div className="responsive-warning-box" style={{
+            padding: '16px 20px',
+            background: 'rgba(245, 158, 11, 0.1)',
+            border: '1px solid rgba(245, 158, 11, 0.3)',
+            borderRadius: '12px',
+            marginBottom: '24px',
+          }}>
+            <div style={{ display: 'flex', alignItems: 'flex-start', gap: '12px' }} className="responsive-warning-content">
+              <svg className="responsive-warning-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{ flexShrink: 0, marginTop: '2px' }}>
+                <path d="m21.73 18-8-14a2 2 0 0 0-3.48 0l-8 14A2 2 0 0 0 4 21h16a2 2 0 0 0 1.73-3Z"/>
+                <path d="M12 9v4"/>
+                <path d="M12 17h.01"/>
+              </svg>
+              <div>
+                <div className="responsive-warning-title" style={{ fontWeight: '600', color: '#f59e0b', marginBottom: '4px' }}>
+                  Funding Payments Unavailable
+                </div>
+                <div className="responsive-warning-text" style={{ color: '#a1a1aa', fontSize: '14px', lineHeight: '1.5' }}>
+                  The exchange indexer did not return the funding payments of
+                  {isPortfolio ? ` ${stats.fundingUnavailable.map(shortenAddress).join(', ')}` : ' this wallet'}.
+                  The perpetuals CSV and P&L are missing some or all funding - fetch again before exporting.
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Warning for approximate prices (time diff) */}
         {stats?.timeDiffList?.length > 0 && (
           <div className="responsive-warning-box" style={{
@@ -1817,8 +5166,42 @@ export default function Home() {
               Download CSV for Awaken Tax
             </button>
             <span style={{ color: '#52525b', fontSize: '14px' }}>
-              {transactions.length.toLocaleString()} rows
+              {transactions.length.toLocaleString()} rows{isPortfolio ? ` from ${fetchedWallets.length} wallets` : ''}
             </span>
+            {isPortfolio && (
+              <button
+                onClick={downloadWalletCSVs}
+                style={{ ...styles.downloadButton, background: 'rgba(255, 255, 255, 0.06)', border: '1px solid rgba(255, 255, 255, 0.12)', boxShadow: 'none' }}
+                className="responsive-download-button"
+              >
+                Download per Wallet
+              </button>
+            )}
+            {hasDisposals && (
+              <button
+                onClick={downloadForm8949CSV}
+                title="One line per lot sold with acquisition date, proceeds, basis and holding period, plus Schedule D totals"
+                style={{ ...styles.downloadButton, background: 'rgba(255, 255, 255, 0.06)', border: '1px solid rgba(255, 255, 255, 0.12)', boxShadow: 'none' }}
+                className="responsive-download-button"
+              >
+                Download Form 8949 CSV
+              </button>
+            )}
+            {perpRows.length > 0 && (
+              <>
+                <button onClick={downloadPerpetualsCSV} style={{ ...styles.downloadButton, background: 'linear-gradient(135deg, #8b5cf6, #7c3aed)', boxShadow: '0 4px 24px rgba(139, 92, 246, 0.3)' }} className="responsive-download-button">
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+                    <polyline points="7 10 12 15 17 10" />
+                    <line x1="12" x2="12" y1="15" y2="3" />
+                  </svg>
+                  Download Perpetuals CSV
+                </button>
+                <span style={{ color: '#52525b', fontSize: '14px' }}>
+                  {perpRows.length.toLocaleString()} rows
+                </span>
+              </>
+            )}
           </div>
         )}
 
@@ -1889,7 +5272,7 @@ export default function Home() {
                     <th style={{ ...styles.th, textAlign: 'left' }}>Fee Cur</th>
                     <th style={{ ...styles.th, textAlign: 'left' }}>Tag</th>
                     <th style={{ ...styles.th, textAlign: 'left' }}>Notes</th>
-                    <th style={{ ...styles.th, textAlign: 'center', width: '56px' }}>Tx</th>
+                    <th style={{ ...styles.th, textAlign: 'center', width: '96px' }}>Tx</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -1897,104 +5280,144 @@ export default function Home() {
                     const c = TAG_CONFIG[tx.tag] || TAG_CONFIG[''];
                     const hasMissingPrice = tx.missingPrice;
                     return (
-                      <tr key={`${tx.txHash}-${i}`} style={hasMissingPrice ? { background: 'rgba(245, 158, 11, 0.08)' } : {}}>
-                        <td style={styles.td}>
-                          <div style={{ fontWeight: '500', color: '#fafafa', fontSize: '13px' }}>{tx.dateFormatted}</div>
-                        </td>
-                        <td style={{
-                          ...styles.td,
-                          textAlign: 'right',
-                          fontFamily: 'ui-monospace, SFMono-Regular, monospace',
-                          color: tx.receivedQty ? '#4ade80' : '#3f3f46',
-                          fontVariantNumeric: 'tabular-nums',
+                      <React.Fragment key={tx.rowKey || `${tx.txHash}-${i}`}>
+                        <tr style={{
+                          ...(hasMissingPrice ? { background: 'rgba(245, 158, 11, 0.08)' } : {}),
+                          // Manually edited rows are marked with a bar on the left
+                          ...(tx.overrides ? { boxShadow: 'inset 3px 0 0 #a78bfa' } : {}),
                         }}>
-                          {tx.receivedQty || ''}
-                        </td>
-                        <td style={{ ...styles.td, fontWeight: '500', color: tx.receivedCurrency ? '#4ade80' : '#3f3f46' }}>
-                          {tx.receivedCurrency || ''}
-                        </td>
-                        <td style={{
-                          ...styles.td,
-                          textAlign: 'right',
-                          fontFamily: 'ui-monospace, SFMono-Regular, monospace',
-                          color: tx.receivedFiat ? '#4ade80' : '#3f3f46',
-                          fontVariantNumeric: 'tabular-nums',
-                        }} title={tx.priceSource ? `Price from ${tx.priceSource}` : ''}>
-                          {tx.receivedFiat ? `$${tx.receivedFiat}` : ''}
-                          {tx.receivedFiat && tx.priceTimeDiff && (
-                            <span style={{ fontSize: '9px', color: '#f59e0b', marginLeft: '2px' }} title={`Price from ${tx.priceTimeDiff}h away`}>⏱{tx.priceTimeDiff}h</span>
-                          )}
-                          {tx.receivedFiat && !tx.priceTimeDiff && tx.priceSource?.includes('pyth') && (
-                            <span style={{ fontSize: '9px', color: '#f59e0b', marginLeft: '2px' }} title="Cross-chain price (Pyth)">*</span>
-                          )}
-                        </td>
-                        <td style={{
-                          ...styles.td,
-                          textAlign: 'right',
-                          fontFamily: 'ui-monospace, SFMono-Regular, monospace',
-                          color: tx.sentQty ? '#f87171' : '#3f3f46',
-                          fontVariantNumeric: 'tabular-nums',
-                        }}>
-                          {tx.sentQty || ''}
-                        </td>
-                        <td style={{ ...styles.td, fontWeight: '500', color: tx.sentCurrency ? '#f87171' : '#3f3f46' }}>
-                          {tx.sentCurrency || ''}
-                        </td>
-                        <td style={{
-                          ...styles.td,
-                          textAlign: 'right',
-                          fontFamily: 'ui-monospace, SFMono-Regular, monospace',
-                          color: tx.sentFiat ? '#f87171' : '#3f3f46',
-                          fontVariantNumeric: 'tabular-nums',
-                        }} title={tx.priceSource ? `Price from ${tx.priceSource}` : ''}>
-                          {tx.sentFiat ? `$${tx.sentFiat}` : ''}
-                          {tx.sentFiat && tx.priceTimeDiff && (
-                            <span style={{ fontSize: '9px', color: '#f59e0b', marginLeft: '2px' }} title={`Price from ${tx.priceTimeDiff}h away`}>⏱{tx.priceTimeDiff}h</span>
-                          )}
-                          {tx.sentFiat && !tx.priceTimeDiff && tx.priceSource?.includes('pyth') && (
-                            <span style={{ fontSize: '9px', color: '#f59e0b', marginLeft: '2px' }} title="Cross-chain price (Pyth)">*</span>
-                          )}
-                        </td>
-                        <td style={{
-                          ...styles.td,
-                          textAlign: 'right',
-                          fontFamily: 'ui-monospace, SFMono-Regular, monospace',
-                          color: '#fb923c',
-                          fontVariantNumeric: 'tabular-nums',
-                        }}>
-                          {tx.feeAmount || ''}
-                        </td>
-                        <td style={{ ...styles.td, color: '#fb923c' }}>
-                          {tx.feeCurrency || ''}
-                        </td>
-                        <td style={styles.td}>
-                          {tx.tag ? (
-                            <span style={{ ...styles.tag, background: c.bg, color: c.color }}>
-                              {c.label}
-                            </span>
-                          ) : (
-                            <span style={{ color: '#3f3f46' }}>—</span>
-                          )}
-                        </td>
-                        <td style={{ ...styles.td, color: '#71717a', maxWidth: '180px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={tx.notes}>
-                          {tx.notes || ''}
-                        </td>
-                        <td style={{ ...styles.td, textAlign: 'center' }}>
-                          <a
-                            href={`https://explorer.injective.network/transaction/${tx.txHash}`}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            style={styles.link}
-                            title={tx.txHash}
-                          >
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                              <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" />
-                              <polyline points="15 3 21 3 21 9" />
-                              <line x1="10" x2="21" y1="14" y2="3" />
-                            </svg>
-                          </a>
-                        </td>
-                      </tr>
+                          <td style={styles.td}>
+                            <div style={{ fontWeight: '500', color: '#fafafa', fontSize: '13px' }}>{tx.dateFormatted}</div>
+                            {isPortfolio && tx.wallet && (
+                              <div style={{ color: '#71717a', fontSize: '11px', fontFamily: 'ui-monospace, SFMono-Regular, monospace', marginTop: '2px' }}>
+                                {shortenAddress(tx.wallet)}
+                              </div>
+                            )}
+                          </td>
+                          <td style={{
+                            ...styles.td,
+                            textAlign: 'right',
+                            fontFamily: 'ui-monospace, SFMono-Regular, monospace',
+                            color: tx.receivedQty ? '#4ade80' : '#3f3f46',
+                            fontVariantNumeric: 'tabular-nums',
+                          }}>
+                            {tx.receivedQty || ''}
+                          </td>
+                          <td style={{ ...styles.td, fontWeight: '500', color: tx.receivedCurrency ? '#4ade80' : '#3f3f46' }}>
+                            {tx.receivedCurrency || ''}
+                          </td>
+                          <td style={{
+                            ...styles.td,
+                            textAlign: 'right',
+                            fontFamily: 'ui-monospace, SFMono-Regular, monospace',
+                            color: tx.receivedFiat ? '#4ade80' : '#3f3f46',
+                            fontVariantNumeric: 'tabular-nums',
+                          }} title={tx.priceSource ? `Price from ${tx.priceSource}` : ''}>
+                            {tx.receivedFiat ? `$${tx.receivedFiat}` : ''}
+                            {tx.receivedFiat && tx.priceTimeDiff && (
+                              <span style={{ fontSize: '9px', color: '#f59e0b', marginLeft: '2px' }} title={`Price from ${tx.priceTimeDiff}h away`}>⏱{tx.priceTimeDiff}h</span>
+                            )}
+                            {tx.receivedFiat && !tx.priceTimeDiff && tx.priceSource?.includes('pyth') && (
+                              <span style={{ fontSize: '9px', color: '#f59e0b', marginLeft: '2px' }} title="Cross-chain price (Pyth)">*</span>
+                            )}
+                          </td>
+                          <td style={{
+                            ...styles.td,
+                            textAlign: 'right',
+                            fontFamily: 'ui-monospace, SFMono-Regular, monospace',
+                            color: tx.sentQty ? '#f87171' : '#3f3f46',
+                            fontVariantNumeric: 'tabular-nums',
+                          }}>
+                            {tx.sentQty || ''}
+                          </td>
+                          <td style={{ ...styles.td, fontWeight: '500', color: tx.sentCurrency ? '#f87171' : '#3f3f46' }}>
+                            {tx.sentCurrency || ''}
+                          </td>
+                          <td style={{
+                            ...styles.td,
+                            textAlign: 'right',
+                            fontFamily: 'ui-monospace, SFMono-Regular, monospace',
+                            color: tx.sentFiat ? '#f87171' : '#3f3f46',
+                            fontVariantNumeric: 'tabular-nums',
+                          }} title={tx.priceSource ? `Price from ${tx.priceSource}` : ''}>
+                            {tx.sentFiat ? `$${tx.sentFiat}` : ''}
+                            {tx.sentFiat && tx.priceTimeDiff && (
+                              <span style={{ fontSize: '9px', color: '#f59e0b', marginLeft: '2px' }} title={`Price from ${tx.priceTimeDiff}h away`}>⏱{tx.priceTimeDiff}h</span>
+                            )}
+                            {tx.sentFiat && !tx.priceTimeDiff && tx.priceSource?.includes('pyth') && (
+                              <span style={{ fontSize: '9px', color: '#f59e0b', marginLeft: '2px' }} title="Cross-chain price (Pyth)">*</span>
+                            )}
+                          </td>
+                          <td style={{
+                            ...styles.td,
+                            textAlign: 'right',
+                            fontFamily: 'ui-monospace, SFMono-Regular, monospace',
+                            color: '#fb923c',
+                            fontVariantNumeric: 'tabular-nums',
+                          }}>
+                            {tx.feeAmount || ''}
+                          </td>
+                          <td style={{ ...styles.td, color: '#fb923c' }}>
+                            {tx.feeCurrency || ''}
+                          </td>
+                          <td style={styles.td}>
+                            {tx.tag ? (
+                              <span style={{ ...styles.tag, background: c.bg, color: c.color }}>
+                                {c.label}
+                              </span>
+                            ) : (
+                              <span style={{ color: '#3f3f46' }}>—</span>
+                            )}
+                            {tx.overrides && (
+                              <span style={{ fontSize: '10px', color: '#a78bfa', marginLeft: '6px' }} title={`Edited: ${Object.keys(tx.overrides).join(', ')}`}>
+                                edited
+                              </span>
+                            )}
+                          </td>
+                          <td style={{ ...styles.td, color: '#71717a', maxWidth: '180px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={tx.notes}>
+                            {tx.notes || ''}
+                          </td>
+                          <td style={{ ...styles.td, textAlign: 'center', whiteSpace: 'nowrap' }}>
+                            <button
+                              onClick={() => setEditingRowKey(key => key === tx.rowKey ? null : tx.rowKey)}
+                              style={{ ...styles.link, border: 'none', cursor: 'pointer', marginRight: '6px', color: tx.overrides ? '#a78bfa' : '#71717a' }}
+                              title="Edit row"
+                            >
+                              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <path d="M12 20h9" />
+                                <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4Z" />
+                              </svg>
+                            </button>
+                            {tx.txHash && (
+                              <a
+                                href={`https://explorer.injective.network/transaction/${tx.txHash}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                style={styles.link}
+                                title={tx.txHash}
+                              >
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                  <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" />
+                                  <polyline points="15 3 21 3 21 9" />
+                                  <line x1="10" x2="21" y1="14" y2="3" />
+                                </svg>
+                              </a>
+                            )}
+                          </td>
+                        </tr>
+                        {editingRowKey === tx.rowKey && (
+                          <tr>
+                            <td colSpan={12} style={{ ...styles.td, background: '#18181b' }}>
+                              <RowEditor
+                                row={tx}
+                                pickLots={costBasisMethod === 'specific'}
+                                onSave={override => updateRowOverride(tx.rowKey, override)}
+                                onCancel={() => setEditingRowKey(null)}
+                              />
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
                     );
                   })}
                 </tbody>
@@ -2008,11 +5431,15 @@ export default function Home() {
                 const hasMissingPrice = tx.missingPrice;
                 return (
                   <div
-                    key={`mobile-${tx.txHash}-${i}`}
+                    key={`mobile-${tx.rowKey || `${tx.txHash}-${i}`}`}
                     className={`mobile-tx-card${hasMissingPrice ? ' missing-price' : ''}`}
+                    style={tx.overrides ? { boxShadow: 'inset 3px 0 0 #a78bfa' } : undefined}
                   >
                     <div className="mobile-tx-header">
-                      <div className="mobile-tx-date">{tx.dateFormatted}</div>
+                      <div className="mobile-tx-date">
+                        {tx.dateFormatted}
+                        {isPortfolio && tx.wallet && <span style={{ color: '#71717a', marginLeft: '6px' }}>{shortenAddress(tx.wallet)}</span>}
+                      </div>
                       {tx.tag && (
                         <span className="mobile-tx-tag" style={{ background: c.bg, color: c.color }}>
                           {c.label}
@@ -2051,19 +5478,42 @@ export default function Home() {
                       <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
                         {tx.notes || '—'}
                       </span>
-                      <a
-                        href={`https://explorer.injective.network/transaction/${tx.txHash}`}
-                        target="_blank"
-                        rel="noopener noreferrer"
+                      <button
+                        onClick={() => setEditingRowKey(key => key === tx.rowKey ? null : tx.rowKey)}
                         className="mobile-tx-link"
+                        style={{ border: 'none', cursor: 'pointer', marginLeft: 'auto', color: tx.overrides ? '#a78bfa' : undefined }}
+                        title="Edit row"
                       >
                         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                          <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" />
-                          <polyline points="15 3 21 3 21 9" />
-                          <line x1="10" x2="21" y1="14" y2="3" />
+                          <path d="M12 20h9" />
+                          <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4Z" />
                         </svg>
-                      </a>
+                      </button>
+                      {tx.txHash && (
+                        <a
+                          href={`https://explorer.injective.network/transaction/${tx.txHash}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="mobile-tx-link"
+                        >
+                          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                            <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6" />
+                            <polyline points="15 3 21 3 21 9" />
+                            <line x1="10" x2="21" y1="14" y2="3" />
+                          </svg>
+                        </a>
+                      )}
                     </div>
+                    {editingRowKey === tx.rowKey && (
+                      <div style={{ marginTop: '10px' }}>
+                        <RowEditor
+                          row={tx}
+                          pickLots={costBasisMethod === 'specific'}
+                          onSave={override => updateRowOverride(tx.rowKey, override)}
+                          onCancel={() => setEditingRowKey(null)}
+                        />
+                      </div>
+                    )}
                   </div>
                 );
               })}
@@ -0,0 +1,126 @@
+// lib/address.js
+// Injective address helpers shared by the client and API routes.
+// An inj1 bech32 address, its 0x Ethereum-style hex form and its exchange
+// subaccount IDs (hex address + 12-byte nonce) all encode the same 20 bytes.
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+function bech32Polymod(values) {
+  let chk = 1;
+  for (const v of values) {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ v;
+    for (let i = 0; i < 5; i++) {
+      if ((top >> i) & 1) chk ^= BECH32_GENERATOR[i];
+    }
+  }
+  return chk;
+}
+
+function bech32HrpExpand(hrp) {
+  const expanded = [];
+  for (let i = 0; i < hrp.length; i++) expanded.push(hrp.charCodeAt(i) >> 5);
+  expanded.push(0);
+  for (let i = 0; i < hrp.length; i++) expanded.push(hrp.charCodeAt(i) & 31);
+  return expanded;
+}
+
+// Regroup a list of `fromBits`-wide integers into `toBits`-wide ones
+function convertBits(data, fromBits, toBits, pad) {
+  let acc = 0;
+  let bits = 0;
+  const result = [];
+  const maxv = (1 << toBits) - 1;
+  for (const value of data) {
+    acc = (acc << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((acc >> bits) & maxv);
+    }
+  }
+  if (pad) {
+    if (bits > 0) result.push((acc << (toBits - bits)) & maxv);
+  } else if (bits >= fromBits || ((acc << (toBits - bits)) & maxv)) {
+    return null;
+  }
+  return result;
+}
+
+// Decode and checksum-verify a bech32 address - returns { prefix, bytes } or null
+export function decodeBech32(address) {
+  if (!address || typeof address !== 'string') return null;
+  // Mixed case is invalid per BIP-173
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) return null;
+  const str = address.toLowerCase();
+  const sep = str.lastIndexOf('1');
+  if (sep < 1 || sep + 7 > str.length || str.length > 90) return null;
+
+  const prefix = str.slice(0, sep);
+  const words = [];
+  for (const char of str.slice(sep + 1)) {
+    const idx = BECH32_CHARSET.indexOf(char);
+    if (idx === -1) return null;
+    words.push(idx);
+  }
+  if (bech32Polymod([...bech32HrpExpand(prefix), ...words]) !== 1) return null;
+
+  const bytes = convertBits(words.slice(0, -6), 5, 8, false);
+  return bytes ? { prefix, bytes } : null;
+}
+
+// Encode bytes as a bech32 address with the given prefix
+export function encodeBech32(prefix, bytes) {
+  const words = convertBits(bytes, 8, 5, true);
+  const values = [...bech32HrpExpand(prefix), ...words, 0, 0, 0, 0, 0, 0];
+  const polymod = bech32Polymod(values) ^ 1;
+  const checksum = [];
+  for (let i = 0; i < 6; i++) checksum.push((polymod >> (5 * (5 - i))) & 31);
+  return `${prefix}1${[...words, ...checksum].map(w => BECH32_CHARSET[w]).join('')}`;
+}
+
+// Valid inj1 account address (20 bytes, correct checksum)
+export function isValidInjAddress(address) {
+  const decoded = decodeBech32(address);
+  return decoded !== null && decoded.prefix === 'inj' && decoded.bytes.length === 20;
+}
+
+// inj1... -> 0x... (lowercase), or null if not a valid inj address
+export function injToHexAddress(address) {
+  const decoded = decodeBech32(address);
+  if (!decoded || decoded.prefix !== 'inj' || decoded.bytes.length !== 20) return null;
+  return `0x${decoded.bytes.map(b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// 0x... -> inj1..., or null if not a 20-byte hex address
+export function hexToInjAddress(hex) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(hex || '')) return null;
+  const bytes = [];
+  for (let i = 2; i < 42; i += 2) bytes.push(parseInt(hex.slice(i, i + 2), 16));
+  return encodeBech32('inj', bytes);
+}
+
+// Exchange subaccount ID for a wallet: 0x + 20-byte address + 12-byte nonce
+export function getSubaccountId(address, nonce = 0) {
+  const hex = injToHexAddress(address);
+  if (!hex) return null;
+  return `${hex}${nonce.toString(16).padStart(24, '0')}`;
+}
+
+// Build a predicate that tells whether an address found in an event belongs to the
+// wallet: the exact inj1 address, its 0x hex form, or any of its exchange subaccounts
+export function createOwnerMatcher(walletAddress) {
+  const bech32 = (walletAddress || '').toLowerCase();
+  const hex = injToHexAddress(bech32);
+
+  return (candidate) => {
+    if (!candidate) return false;
+    const value = candidate.toLowerCase();
+    if (value === bech32) return true;
+    if (!hex) return false;
+    if (value === hex) return true;
+    // Subaccount IDs are the hex address followed by a 24-hex-char nonce
+    return value.length === 66 && value.startsWith(hex);
+  };
+}
@@ -0,0 +1,60 @@
+// lib/exchange.ts
+// Shared helpers for API routes that read wallet history from the Injective
+// Exchange Indexer.
+
+import { getSubaccountId } from '@/lib/address';
+
+export const INJECTIVE_EXCHANGE_API = 'https://sentry.exchange.grpc-web.injective.network';
+export const INDEXER_PAGE_SIZE = 100;
+const MAX_PAGES = 200; // Safety cap per paged query (20k records)
+
+// Fetch JSON from the indexer, or null on any failure
+export async function fetchIndexer(path: string): Promise<any | null> {
+  try {
+    const response = await fetch(`${INJECTIVE_EXCHANGE_API}${path}`, {
+      headers: { 'Accept': 'application/json' },
+      cache: 'no-store',
+    });
+    if (!response.ok) return null;
+    return await response.json();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Page through an indexer list endpoint. `path` must already contain a query string.
+// Returns null if the first page fails, otherwise everything fetched so far.
+export async function fetchIndexerPages(path: string, listKey: string): Promise<any[] | null> {
+  const items: any[] = [];
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const data = await fetchIndexer(`${path}&skip=${page * INDEXER_PAGE_SIZE}&limit=${INDEXER_PAGE_SIZE}`);
+    if (!data) return page === 0 ? null : items;
+
+    const batch = data[listKey] || [];
+    items.push(...batch);
+    if (batch.length < INDEXER_PAGE_SIZE) break;
+
+    // Small delay to prevent rate limiting
+    await new Promise(r => setTimeout(r, 50));
+  }
+  return items;
+}
+
+// All subaccounts the wallet has ever used (always includes the default subaccount)
+export async function getSubaccounts(address: string): Promise<string[]> {
+  const data = await fetchIndexer(`/api/exchange/accounts/v1/subaccounts/${address}`);
+  const subaccounts: string[] = data?.subaccounts || [];
+  const defaultSubaccount = getSubaccountId(address, 0);
+  if (defaultSubaccount && !subaccounts.some(s => s.toLowerCase() === defaultSubaccount)) {
+    subaccounts.push(defaultSubaccount);
+  }
+  return subaccounts;
+}
+
+// Append optional startTime/endTime (Unix ms) filters to an indexer path
+export function withTimeRange(path: string, startTime: string | null, endTime: string | null): string {
+  let result = path;
+  if (startTime) result += `&startTime=${startTime}`;
+  if (endTime) result += `&endTime=${endTime}`;
+  return result;
+}
@@ -0,0 +1,113 @@
+// lib/keccak.js
+// Keccak-256 (the pre-standard SHA-3 used by Ethereum and the Injective Name
+// Service). Node's crypto only ships the final SHA3-256, which pads differently.
+// Lanes are 64-bit words held as [low, high] 32-bit halves.
+
+const RATE_BYTES = 136; // 1088-bit rate for a 256-bit digest
+
+// Iota round constants as [low, high]
+const ROUND_CONSTANTS = [
+  [0x00000001, 0x00000000], [0x00008082, 0x00000000], [0x0000808a, 0x80000000], [0x80008000, 0x80000000],
+  [0x0000808b, 0x00000000], [0x80000001, 0x00000000], [0x80008081, 0x80000000], [0x00008009, 0x80000000],
+  [0x0000008a, 0x00000000], [0x00000088, 0x00000000], [0x80008009, 0x00000000], [0x8000000a, 0x00000000],
+  [0x8000808b, 0x00000000], [0x0000008b, 0x80000000], [0x00008089, 0x80000000], [0x00008003, 0x80000000],
+  [0x00008002, 0x80000000], [0x00000080, 0x80000000], [0x0000800a, 0x00000000], [0x8000000a, 0x80000000],
+  [0x80008081, 0x80000000], [0x00008080, 0x80000000], [0x80000001, 0x00000000], [0x80008008, 0x80000000],
+];
+
+// Rho rotation offsets, indexed by x + 5y
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14,
+];
+
+// Rotate a 64-bit lane left by n bits
+function rotateLeft(lo, hi, n) {
+  if (n === 0) return [lo, hi];
+  if (n >= 32) {
+    [lo, hi] = [hi, lo];
+    n -= 32;
+    if (n === 0) return [lo, hi];
+  }
+  return [((lo << n) | (hi >>> (32 - n))) >>> 0, ((hi << n) | (lo >>> (32 - n))) >>> 0];
+}
+
+// Keccak-f[1600] permutation over 25 lanes (state[2i] low, state[2i + 1] high)
+function permute(state) {
+  const c = new Uint32Array(10);
+  const b = new Uint32Array(50);
+
+  for (const [rcLo, rcHi] of ROUND_CONSTANTS) {
+    // Theta
+    for (let x = 0; x < 5; x++) {
+      c[2 * x] = state[2 * x] ^ state[2 * x + 10] ^ state[2 * x + 20] ^ state[2 * x + 30] ^ state[2 * x + 40];
+      c[2 * x + 1] = state[2 * x + 1] ^ state[2 * x + 11] ^ state[2 * x + 21] ^ state[2 * x + 31] ^ state[2 * x + 41];
+    }
+    for (let x = 0; x < 5; x++) {
+      const prev = (x + 4) % 5;
+      const next = (x + 1) % 5;
+      const [rotLo, rotHi] = rotateLeft(c[2 * next], c[2 * next + 1], 1);
+      const dLo = c[2 * prev] ^ rotLo;
+      const dHi = c[2 * prev + 1] ^ rotHi;
+      for (let y = 0; y < 5; y++) {
+        state[2 * (x + 5 * y)] ^= dLo;
+        state[2 * (x + 5 * y) + 1] ^= dHi;
+      }
+    }
+
+    // Rho and pi: lane (x, y) moves to (y, 2x + 3y)
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        const from = x + 5 * y;
+        const to = y + 5 * ((2 * x + 3 * y) % 5);
+        const [lo, hi] = rotateLeft(state[2 * from], state[2 * from + 1], ROTATIONS[from]);
+        b[2 * to] = lo;
+        b[2 * to + 1] = hi;
+      }
+    }
+
+    // Chi
+    for (let y = 0; y < 5; y++) {
+      for (let x = 0; x < 5; x++) {
+        const i = x + 5 * y;
+        const i1 = (x + 1) % 5 + 5 * y;
+        const i2 = (x + 2) % 5 + 5 * y;
+        state[2 * i] = b[2 * i] ^ (~b[2 * i1] & b[2 * i2]);
+        state[2 * i + 1] = b[2 * i + 1] ^ (~b[2 * i1 + 1] & b[2 * i2 + 1]);
+      }
+    }
+
+    // Iota
+    state[0] ^= rcLo;
+    state[1] ^= rcHi;
+  }
+}
+
+// Keccak-256 digest of a byte array - returns 32 bytes
+export function keccak256(bytes) {
+  // Pad with 0x01 ... 0x80 up to a multiple of the rate
+  const padded = new Uint8Array(Math.floor(bytes.length / RATE_BYTES + 1) * RATE_BYTES);
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x01;
+  padded[padded.length - 1] ^= 0x80;
+
+  // Absorb, lanes little-endian
+  const state = new Uint32Array(50);
+  for (let offset = 0; offset < padded.length; offset += RATE_BYTES) {
+    for (let i = 0; i < RATE_BYTES / 4; i++) {
+      const p = offset + 4 * i;
+      state[i] ^= padded[p] | (padded[p + 1] << 8) | (padded[p + 2] << 16) | (padded[p + 3] << 24);
+    }
+    permute(state);
+  }
+
+  // Squeeze the first 32 bytes
+  const digest = new Uint8Array(32);
+  for (let i = 0; i < 8; i++) {
+    for (let j = 0; j < 4; j++) digest[4 * i + j] = (state[i] >>> (8 * j)) & 0xff;
+  }
+  return digest;
+}
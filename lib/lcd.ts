@@ -0,0 +1,26 @@
+// lib/lcd.ts
+// Shared helpers for API routes that query chain state through the Injective
+// LCD (Cosmos REST) endpoint.
+
+export const INJECTIVE_LCD_API = 'https://sentry.lcd.injective.network';
+
+// GET from the LCD - returns { status, data } (data is null on failure)
+export async function fetchLcd(path: string): Promise<{ status: number; data: any }> {
+  try {
+    const response = await fetch(`${INJECTIVE_LCD_API}${path}`, {
+      headers: { 'Accept': 'application/json' },
+      cache: 'no-store',
+    });
+    if (!response.ok) return { status: response.status, data: null };
+    return { status: response.status, data: await response.json() };
+  } catch {
+    return { status: 0, data: null };
+  }
+}
+
+// CosmWasm smart query - returns the query result or null
+export async function queryContract(contract: string, query: object): Promise<any> {
+  const encoded = encodeURIComponent(Buffer.from(JSON.stringify(query)).toString('base64'));
+  const { data } = await fetchLcd(`/cosmwasm/wasm/v1/contract/${contract}/smart/${encoded}`);
+  return data?.data ?? null;
+}
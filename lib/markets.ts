@@ -0,0 +1,66 @@
+// lib/markets.ts
+// Spot market list shared by the prices and markets API routes.
+
+const INJECTIVE_LCD_API = 'https://lcd.injective.network';
+
+export interface MarketInfo {
+  marketId: string;
+  ticker: string;
+  baseDenom: string;
+  quoteDenom: string;
+  quoteSymbol: string; // e.g., 'INJ', 'USDT'
+  baseDecimals: number;
+  quoteDecimals: number;
+}
+
+// Cache markets for 5 minutes to avoid repeated API calls
+let marketsCache: { data: MarketInfo[]; timestamp: number } | null = null;
+const MARKETS_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Fetch all spot markets from Injective LCD (includes all memecoins)
+export async function getAllMarkets(): Promise<MarketInfo[]> {
+  // Return cached markets if still valid
+  if (marketsCache && Date.now() - marketsCache.timestamp < MARKETS_CACHE_TTL) {
+    return marketsCache.data;
+  }
+
+  try {
+    // Use LCD endpoint which has ALL markets including memecoins
+    const url = `${INJECTIVE_LCD_API}/injective/exchange/v1beta1/spot/markets?status=Active`;
+    const response = await fetch(url, {
+      headers: { 'Accept': 'application/json' },
+      cache: 'no-store',
+    });
+
+    if (!response.ok) return marketsCache?.data || [];
+
+    const data = await response.json();
+    if (!data.markets) return marketsCache?.data || [];
+
+    // Map to simplified structure and identify quote symbols
+    return data.markets.map((m: any) => {
+      const quoteDenom = m.quote_denom || '';
+      const baseDenom = m.base_denom || '';
+      const ticker = m.ticker || ''; // Use actual ticker from API
+
+      let quoteSymbol = 'UNKNOWN';
+      if (quoteDenom === 'inj') quoteSymbol = 'INJ';
+      else if (quoteDenom.toLowerCase().includes('peggy0xdac17f958d2ee523a2206206994597c13d831ec7')) quoteSymbol = 'USDT';
+      else if (quoteDenom.toLowerCase().includes('peggy0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48')) quoteSymbol = 'USDC';
+      else if (ticker.includes('/')) quoteSymbol = ticker.split('/')[1] || 'UNKNOWN';
+
+      return {
+        marketId: m.market_id,
+        ticker,
+        baseDenom,
+        quoteDenom,
+        quoteSymbol,
+        baseDecimals: m.base_decimals ?? 18,
+        quoteDecimals: m.quote_decimals ?? 18,
+      };
+    });
+  } catch (e) {
+    console.error('getAllMarkets error:', e);
+    return [];
+  }
+}